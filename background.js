@@ -1,9 +1,64 @@
+importScripts(
+  "omnifocus.js",
+  "dates.js",
+  "rules.js",
+  "templates.js",
+  "ofsync.js",
+  "learning.js",
+  "fallback.js",
+  "deadlines.js",
+)
+
 const SUMMARY_TIMEOUT_MS = 60000
+// Extra time per ~CHUNK_ESTIMATE_CHARS of text; offscreen summarizes long pages in chunks.
+const SUMMARY_TIMEOUT_PER_CHUNK_MS = 30000
+const CHUNK_ESTIMATE_CHARS = 8000
 const MIN_TEXT_LEN = 50
-const MAX_TEXT_LEN = 8000
+const MAX_TEXT_LEN = 80000
 const MAX_CLASSIFY_LEN = 4000
 const OFFSCREEN_URL = "offscreen.html"
+const HANDOFF_TIMEOUT_MS = 20000
+const MAX_SENT_KEPT = 20
+const MAX_HISTORY = 1000
 const _PRE = "of-ext"
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Query params that never change what a page is. Same syntax as the user's
+// "URL cleaning" rules in options: `param`, `prefix*`, optionally `host: param`.
+// Not plain `ref`: GitHub, GitLab and many docs sites use it for the branch or
+// version shown. It can be added as a rule where it is only tracking.
+const BUILTIN_TRACKING_PARAMS = [
+  "utm_*",
+  "fbclid",
+  "gclid",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "msclkid",
+  "yclid",
+  "mc_cid",
+  "mc_eid",
+  "igshid",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "ref_src",
+  "ref_url",
+  "youtube.com: si",
+  "youtu.be: si",
+]
+
+// Redirect wrappers we unwrap to their target (the first listed param that holds
+// an http(s) URL wins).
+const REDIRECTORS = [
+  { host: /(^|\.)google\.[a-z.]+$/, path: /^\/url$/, params: ["q", "url"] },
+  { host: /^(l|lm)\.facebook\.com$|^l\.messenger\.com$/, path: /^\/l\.php$/, params: ["u"] },
+  { host: /^l\.instagram\.com$/, path: /^\/$/, params: ["u"] },
+  { host: /^out\.reddit\.com$/, path: /./, params: ["url"] },
+  { host: /(^|\.)youtube\.com$/, path: /^\/redirect$/, params: ["q"] },
+  { host: /(^|\.)linkedin\.com$/, path: /^\/redir\/redirect/, params: ["url"] },
+  { host: /^slack-redir\.net$/, path: /^\/link$/, params: ["url"] },
+]
 
 const log = {
   info: (...a) => console.log(`[${_PRE}]`, ...a),
@@ -23,15 +78,257 @@ async function withTimeout(promise, ms, label) {
   }
 }
 
-async function getTabText(tab) {
+// Main content + metadata (byline, published, siteName, language, readingTime…)
+// and any highlighted text, from extract.js, which scores the page
+// Readability-style in the tab itself. On sites with a dedicated extractor
+// (sites.js) `site` carries its { name, title, details, link }, else null.
+async function getPageContent(tab) {
   const [r] = await chrome.scripting.executeScript({
     target: { tabId: tab.id },
-    func: () => {
-      const root = document.querySelector("article") || document.querySelector("main") || document.body
-      return root ? root.innerText.trim() : ""
-    },
+    files: ["sites.js", "extract.js"],
   })
-  return r?.result ?? ""
+  return {
+    text: r?.result?.text ?? "",
+    meta: r?.result?.meta ?? {},
+    selection: r?.result?.selection ?? "",
+    site: r?.result?.site ?? null,
+  }
+}
+
+// Text Fragment link (#:~:text=) back to the selected passage. Short single-line
+// selections are matched whole; longer ones by their first and last few words
+// (start,end form), which may also span block boundaries.
+function textFragmentUrl(url, selection) {
+  const enc = (s) => encodeURIComponent(s).replace(/-/g, "%2D")
+  const lines = selection
+    .split(/\n+/)
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+  if (!lines.length) return url
+  let directive
+  if (lines.length === 1 && lines[0].split(" ").length <= 10) {
+    directive = enc(lines[0])
+  } else {
+    const start = lines[0].split(" ").slice(0, 5).join(" ")
+    const end = lines[lines.length - 1].split(" ").slice(-5).join(" ")
+    directive = `${enc(start)},${enc(end)}`
+  }
+  const [base, hash = ""] = url.split("#")
+  return `${base}#${hash.split(":~:")[0]}:~:text=${directive}`
+}
+
+// The quoted selection verbatim, followed by the link back to it.
+function quoteBlock(selection, fragmentUrl) {
+  const quoted = selection
+    .split("\n")
+    .map((l) => `> ${l}`.trimEnd())
+    .join("\n")
+  return `${quoted}\n${fragmentUrl}`
+}
+
+// One-line description of the page for the summarizer's per-call `context`.
+function describePage(meta) {
+  const parts = []
+  if (meta.title) parts.push(`"${meta.title}"`)
+  if (meta.byline) parts.push(`by ${meta.byline}`)
+  if (meta.siteName) parts.push(`on ${meta.siteName}`)
+  if (meta.published) parts.push(`published ${meta.published.slice(0, 10)}`)
+  return parts.length ? `The page is ${parts.join(" ")}.` : ""
+}
+
+// URL hints the page itself declares: canonical link, og:url, a meta-refresh
+// target (t.co interstitials), and the title (which t.co sets to the target).
+async function getPageLinks(tab) {
+  try {
+    const [r] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => {
+        const refresh = document.querySelector('meta[http-equiv="refresh" i]')?.content || ""
+        const m = refresh.match(/url\s*=\s*['"]?([^'"\s]+)/i)
+        return {
+          canonical: document.querySelector('link[rel~="canonical"]')?.href || "",
+          ogUrl: document.querySelector('meta[property="og:url"]')?.content || "",
+          redirect: m ? new URL(m[1], location.href).href : "",
+          title: document.title || "",
+        }
+      },
+    })
+    return r?.result ?? {}
+  } catch {
+    return {} // chrome:// pages, PDFs etc. can't be scripted
+  }
+}
+
+// Opening the popup asks for the summary, site info, suggestions, dates, the
+// clean URL and duplicates at once, and each of those reads the same page. The
+// popup's handlers share one read of each kind per tab until it navigates, or for
+// PAGE_READ_TTL_MS, so the page is scripted once instead of once per request.
+// Saves read the page fresh.
+const PAGE_READ_TTL_MS = 10_000
+const pageReads = new Map() // tabId → { url, at, reads: { [kind]: Promise } }
+
+function sharedPageRead(tab, kind, read) {
+  let entry = pageReads.get(tab.id)
+  if (!entry || entry.url !== tab.url || Date.now() - entry.at > PAGE_READ_TTL_MS) {
+    entry = { url: tab.url, at: Date.now(), reads: {} }
+    pageReads.set(tab.id, entry)
+  }
+  if (!entry.reads[kind]) {
+    const promise = read(tab)
+    entry.reads[kind] = promise
+    // A failed read isn't kept, so the next request tries again.
+    promise.catch(() => {
+      if (entry.reads[kind] === promise) delete entry.reads[kind]
+    })
+  }
+  return entry.reads[kind]
+}
+
+function sharedPageContent(tab) {
+  return sharedPageRead(tab, "content", getPageContent)
+}
+
+function sharedPageLinks(tab) {
+  return sharedPageRead(tab, "links", getPageLinks)
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === "loading") pageReads.delete(tabId)
+})
+chrome.tabs.onRemoved.addListener((tabId) => pageReads.delete(tabId))
+
+function isHttpUrl(url) {
+  return /^https?:\/\//i.test(url || "")
+}
+
+// Rule lines → matchers. `!param` exempts a param (e.g. keep `ref` on one host).
+function compileParamRules(lines) {
+  const rules = []
+  for (const raw of lines) {
+    const line = raw.trim()
+    if (!line || line.startsWith("#")) continue
+    const m = line.match(/^(?:([^\s:]+)\s*:\s*)?(!)?(\S+)$/)
+    if (!m) continue
+    const [, host, negate, pattern] = m
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")
+    rules.push({
+      host: host ? host.toLowerCase().replace(/^www\./, "") : null,
+      keep: !!negate,
+      re: new RegExp(`^${escaped}$`, "i"),
+    })
+  }
+  return rules
+}
+
+const BUILTIN_PARAM_RULES = compileParamRules(BUILTIN_TRACKING_PARAMS)
+
+function isTrackingParam(name, hostname, rules) {
+  const host = hostname.toLowerCase()
+  const applies = (r) => r.re.test(name) && (!r.host || host === r.host || host.endsWith(`.${r.host}`))
+  return rules.some((r) => !r.keep && applies(r)) && !rules.some((r) => r.keep && applies(r))
+}
+
+function stripTrackingParams(url, rules) {
+  let u
+  try {
+    u = new URL(url)
+  } catch {
+    return url
+  }
+  for (const name of Array.from(new Set(u.searchParams.keys()))) {
+    if (isTrackingParam(name, u.hostname, rules)) u.searchParams.delete(name)
+  }
+  return u.href
+}
+
+// Follows known redirect wrappers (a few levels deep — they nest).
+function unwrapRedirects(url) {
+  for (let depth = 0; depth < 5; depth++) {
+    let u
+    try {
+      u = new URL(url)
+    } catch {
+      return url
+    }
+    const hit = REDIRECTORS.find((r) => r.host.test(u.hostname) && r.path.test(u.pathname))
+    const target = hit?.params.map((p) => u.searchParams.get(p)).find(isHttpUrl)
+    if (!target) return url
+    url = target
+  }
+  return url
+}
+
+// Canonical/og:url when it looks trustworthy: http(s), and not a homepage stand-in
+// for a deeper page (a common CMS misconfiguration). Keeps the original fragment.
+function pickCanonical(url, page) {
+  const candidate = [page.canonical, page.ogUrl].find(isHttpUrl)
+  if (!candidate) return url
+  try {
+    const from = new URL(url)
+    const to = new URL(candidate)
+    if (to.pathname === "/" && from.pathname !== "/") return url
+    if (!to.hash) to.hash = from.hash
+    return to.href
+  } catch {
+    return url
+  }
+}
+
+// The URL that gets saved: t.co target → unwrapped redirects → canonical →
+// tracking params stripped (built-in + user rules).
+async function cleanTabUrl(tab, page) {
+  const { cleanUrls = true, useCanonicalUrl = true, urlRules = [] } = await chrome.storage.sync.get([
+    "cleanUrls",
+    "useCanonicalUrl",
+    "urlRules",
+  ])
+  if (!cleanUrls || !isHttpUrl(tab.url)) return tab.url
+  page = page || (await getPageLinks(tab))
+
+  let url = tab.url
+  if (/^https?:\/\/t\.co\//i.test(url)) url = [page.redirect, page.title].find(isHttpUrl) || url
+  url = unwrapRedirects(url)
+  if (useCanonicalUrl) url = pickCanonical(url, page)
+  return stripTrackingParams(url, [...BUILTIN_PARAM_RULES, ...compileParamRules(urlRules)])
+}
+
+// Links and images saved from the context menu: there's no page to read a
+// canonical from, so only redirect unwrapping and param stripping apply.
+async function cleanLinkUrl(url) {
+  const { cleanUrls = true, urlRules = [] } = await chrome.storage.sync.get(["cleanUrls", "urlRules"])
+  if (!cleanUrls || !isHttpUrl(url)) return url
+  return stripTrackingParams(unwrapRedirects(url), [...BUILTIN_PARAM_RULES, ...compileParamRules(urlRules)])
+}
+
+// Comparison key for "is this the same page?": no scheme, fragment, tracking
+// params, `www.`/`amp.` host prefix, trailing `/amp` or trailing slash; remaining
+// params sorted. Only used for matching — it is never saved.
+function dedupeKey(url) {
+  let u
+  try {
+    u = new URL(url)
+  } catch {
+    return url || ""
+  }
+  if (!/^https?:$/.test(u.protocol)) return url
+  const host = u.hostname.toLowerCase().replace(/^(www|amp)\./, "") + (u.port ? `:${u.port}` : "")
+  const path = u.pathname.replace(/\/amp\/?$/i, "").replace(/\/+$/, "") || "/"
+  const params = Array.from(u.searchParams)
+    .filter(([k]) => k.toLowerCase() !== "amp" && !isTrackingParam(k, u.hostname, BUILTIN_PARAM_RULES))
+    .sort(([a], [b]) => a.localeCompare(b))
+  const query = new URLSearchParams(params).toString()
+  return `${host}${path}${query ? `?${query}` : ""}`
+}
+
+// Most recent history entry for the same page (by raw, cleaned or canonical URL,
+// or any of a batch's tab URLs).
+async function findPreviousCapture(tab) {
+  const page = await sharedPageLinks(tab)
+  const cleaned = await cleanTabUrl(tab, page)
+  const keys = new Set([tab.url, cleaned, page.canonical].filter(Boolean).map(dedupeKey))
+  const { history = [] } = await chrome.storage.local.get("history")
+  const urlsOf = (h) => [h.url, h.canonicalUrl, ...(h.urls || [])]
+  return history.find((h) => urlsOf(h).some((u) => u && keys.has(dedupeKey(u)))) || null
 }
 
 let creatingOffscreen = null
@@ -55,16 +352,26 @@ async function ensureOffscreen() {
   }
 }
 
-async function summarizeViaOffscreen(text) {
+// Summary type/length/format/sharedContext from options, with an optional
+// per-save override from the popup layered on top. Offscreen validates values.
+async function getSummaryStyle(override) {
+  const { summaryStyle = {} } = await chrome.storage.sync.get(["summaryStyle"])
+  return { ...summaryStyle, ...(override || {}) }
+}
+
+async function summarizeViaOffscreen(text, context = "", style = {}) {
   if (!text || text.length < MIN_TEXT_LEN) {
     throw new Error("text too short")
   }
+  if (text.length > MAX_TEXT_LEN) log.warn(`summarizing first ${MAX_TEXT_LEN} of ${text.length} chars`)
   const truncated = text.length > MAX_TEXT_LEN ? text.slice(0, MAX_TEXT_LEN) : text
   await ensureOffscreen()
   const resp = await chrome.runtime.sendMessage({
     target: "offscreen",
     action: "summarize",
     text: truncated,
+    context,
+    style,
   })
   if (!resp?.ok) throw new Error(resp?.error || "summarize failed")
   return resp.summary || ""
@@ -78,11 +385,35 @@ async function classifyViaOffscreen(text, meta) {
     text,
     title: meta.title,
     url: meta.url,
+    siteName: meta.siteName,
+    byline: meta.byline,
+    language: meta.language,
     projects: meta.projects,
     tags: meta.tags,
+    examples: meta.examples || [],
   })
   if (!resp?.ok) throw new Error(resp?.error || "classify failed")
-  return { project: resp.project || "", tags: Array.isArray(resp.tags) ? resp.tags : [] }
+  return {
+    project: resp.project || "",
+    tags: Array.isArray(resp.tags) ? resp.tags : [],
+    scores: resp.scores || { project: null, tags: {} },
+  }
+}
+
+async function titleViaOffscreen(text, page, project, style) {
+  await ensureOffscreen()
+  const resp = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    action: "title",
+    text,
+    title: page.title,
+    url: page.url,
+    siteName: page.siteName,
+    project,
+    style,
+  })
+  if (!resp?.ok) throw new Error(resp?.error || "title failed")
+  return resp.title || ""
 }
 
 async function warmupSummarizer() {
@@ -91,6 +422,7 @@ async function warmupSummarizer() {
     const resp = await chrome.runtime.sendMessage({
       target: "offscreen",
       action: "warmup",
+      style: await getSummaryStyle(),
     })
     log.info("warmup:", resp)
     return resp
@@ -100,47 +432,486 @@ async function warmupSummarizer() {
   }
 }
 
-function buildOmnifocusUrl({ name, note, project, tags, flag, due }) {
-  // Manual encoding (not URLSearchParams) because OmniFocus's URL parser treats
-  // `+` as a literal character; we need spaces encoded as %20 (RFC 3986).
+// ── OmniFocus ids ──
+// After a structured sync (Settings → Projects / Tags) chrome.storage.local holds
+// every project and tag with its OmniFocus id and the label it has in the lists.
+// A save naming a synced project or tag goes through an omnijs-run script that
+// looks it up by id, so renaming it in OmniFocus doesn't send tasks to the inbox;
+// the name is the fallback when the id is gone. Other saves (and TaskPaper
+// pastes) keep using the add URL. The script text never changes — only its
+// argument does — so OmniFocus asks to approve it once.
+const OMNIJS_ADD_SCRIPT = `(() => {
+  const a = argument;
+  const byId = (cls, id) => (id ? cls.byIdentifier(id) : null);
+  const toDate = (s) => {
+    const [day, time] = s.split(" ");
+    const [y, m, d] = day.split("-").map(Number);
+    const [h, min] = (time || "0:0").split(":").map(Number);
+    return new Date(y, m - 1, d, h, min);
+  };
+  const project = byId(Project, a.projectId) || (a.project ? flattenedProjects.byName(a.project) : null);
+  const task = new Task(a.name, project || inbox.ending);
+  task.note = a.note || "";
+  const tags = a.tags.map((t) => byId(Tag, t.id) || flattenedTags.byName(t.name) || new Tag(t.name));
+  if (tags.length) task.addTags(tags);
+  if (a.flag) task.flagged = true;
+  if (a.defer) task.deferDate = toDate(a.defer);
+  if (a.due) task.dueDate = toDate(a.due);
+  if (a.estimate) task.estimatedMinutes = a.estimate;
+  if (a.repeatRule) {
+    const M = Task.RepetitionMethod;
+    const method =
+      a.repeatMethod === "start-after-completion" ? M.DeferUntilDate
+      : a.repeatMethod === "due-after-completion" ? M.DueDate
+      : M.Fixed;
+    task.repetitionRule = new Task.RepetitionRule(a.repeatRule, method);
+  }
+  if (a.completed) task.markComplete(toDate(a.completed));
+})();`
+
+// Ids for the payload's project and tags from the last sync: { projectId,
+// tagRefs: [{ id, name }] }, or {} when nothing is synced. Labels are matched
+// like the lists show them (a tag's label is its path when its name is taken).
+// A date-only due gets the end of the work day, as the add URL would.
+async function resolveOmniFocusIds(payload) {
+  const { ofProjects = [], ofTags = [] } = await chrome.storage.local.get(["ofProjects", "ofTags"])
+  const label = (item) => item.label || item.name
+  let projectId = payload.projectId || null
+  if (payload.project && !projectId) {
+    const matches = ofProjects.filter((p) => label(p) === payload.project && p.status === "active")
+    if (matches.length === 1) projectId = matches[0].id
+  }
+  const tagRefs = (payload.tags || []).map((t) => {
+    const tag = ofTags.find((x) => label(x) === t && x.status !== "dropped")
+    return tag ? { id: tag.id, name: tag.name } : { id: null, name: t }
+  })
+  if (!projectId && !tagRefs.some((r) => r.id)) return {}
+  const resolved = { projectId, tagRefs }
+  if (payload.due && !payload.due.includes(" ")) {
+    const { workdayEnd = "17:00" } = await chrome.storage.sync.get(["workdayEnd"])
+    resolved.due = `${payload.due} ${workdayEnd}`
+  }
+  return resolved
+}
+
+function buildOmnijsAddUrl(payload) {
+  const arg = {
+    name: payload.name || "",
+    note: payload.note || "",
+    project: payload.project || null,
+    projectId: payload.projectId || null,
+    tags: payload.tagRefs || [],
+    flag: !!payload.flag,
+    defer: payload.defer || null,
+    due: payload.due || null,
+    estimate: payload.estimate || null,
+    repeatRule: payload.repeatRule || null,
+    repeatMethod: payload.repeatMethod || null,
+    completed: payload.completed || null,
+  }
   const enc = encodeURIComponent
-  const parts = [`name=${enc(name || "")}`, `note=${enc(note || "")}`]
-  if (project) parts.push(`project=${enc(project)}`)
-  if (tags && tags.length) parts.push(`tags=${enc(tags.join(","))}`)
-  if (flag) parts.push("flag=true")
-  if (due) parts.push(`due=${enc(due)}`)
-  return `omnifocus:///add?${parts.join("&")}`
+  return `omnifocus://localhost/omnijs-run?script=${enc(OMNIJS_ADD_SCRIPT)}&arg=${enc(JSON.stringify(arg))}`
 }
 
-async function summarizeTab(tabId) {
-  const tab = await chrome.tabs.get(tabId)
-  const text = await getTabText(tab)
-  return withTimeout(summarizeViaOffscreen(text), SUMMARY_TIMEOUT_MS, "summarize")
+// Which URL hands an entry to OmniFocus.
+function handoffUrl(payload) {
+  if (payload.taskpaper != null) return buildPasteUrl(payload)
+  if (payload.projectId || payload.tagRefs?.some((r) => r.id)) return buildOmnijsAddUrl(payload)
+  return buildOmnifocusUrl(payload)
+}
+
+// ── save queue ──
+// Every save is recorded in chrome.storage.local before the omnifocus:// URL is
+// opened, so nothing is lost when OmniFocus isn't installed or the handoff is
+// dropped. Entries move pending → sent | failed:
+//   - tabs.create rejects → failed
+//   - Chrome closes the handoff tab once OmniFocus takes the URL → sent
+//   - the tab is still open after HANDOFF_TIMEOUT_MS → failed (tab is closed)
+// Mutations are serialized so the onRemoved listener and a dispatch never race
+// on the stored array.
+const storageChains = new Map()
+// Tabs this worker opened for pending handoffs, so closing any other tab costs
+// no storage write. After a worker restart the stored queue is read instead.
+const handoffTabs = new Set()
+
+// Serialized read-modify-write of an array in chrome.storage.local. `fn` mutates
+// the list in place; `finalize` may return a trimmed copy to store instead.
+function updateStoredList(key, fn, finalize = (list) => list) {
+  const run = (storageChains.get(key) || Promise.resolve()).then(async () => {
+    const { [key]: stored = [] } = await chrome.storage.local.get(key)
+    const result = await fn(stored)
+    const next = finalize(stored)
+    await chrome.storage.local.set({ [key]: next })
+    return { result, next }
+  })
+  storageChains.set(key, run.catch(() => {}))
+  return run
+}
+
+async function updateQueue(fn) {
+  const { result, next } = await updateStoredList("saveQueue", fn, pruneQueue)
+  refreshBadge(next)
+  return result
+}
+
+// Keep every unsent entry; only the newest MAX_SENT_KEPT sent ones.
+function pruneQueue(queue) {
+  const sent = queue.filter((e) => e.state === "sent").sort((a, b) => b.updatedAt - a.updatedAt)
+  const dropped = new Set(sent.slice(MAX_SENT_KEPT).map((e) => e.id))
+  return queue.filter((e) => !dropped.has(e.id))
 }
 
+function refreshBadge(queue) {
+  const unsent = queue.filter((e) => e.state !== "sent")
+  const failed = unsent.some((e) => e.state === "failed")
+  chrome.action.setBadgeText({ text: unsent.length ? String(unsent.length) : "" })
+  chrome.action.setBadgeBackgroundColor({ color: failed ? "#b03030" : "#2c5fb8" })
+}
+
+// Short-lived badge (e.g. "dup" when the shortcut skips a page), then back to
+// the queue count.
+function flashBadge(text) {
+  chrome.action.setBadgeText({ text })
+  chrome.action.setBadgeBackgroundColor({ color: "#d96a1f" })
+  setTimeout(async () => {
+    const { saveQueue = [] } = await chrome.storage.local.get("saveQueue")
+    refreshBadge(saveQueue)
+  }, 2500)
+}
+
+function setEntryState(entry, state, error = null) {
+  entry.state = state
+  entry.error = error
+  entry.updatedAt = Date.now()
+  if (state !== "pending" && entry.tabId != null) {
+    handoffTabs.delete(entry.tabId)
+    entry.tabId = null
+  }
+}
+
+// Opens the handoff tab for one entry. Must run inside updateQueue so the tab id
+// is stored before onRemoved can fire for it. `background` keeps the tab out of
+// the foreground, so a batch doesn't close the popup that shows its progress.
+async function dispatchEntry(entry, { background = false } = {}) {
+  const url = handoffUrl(entry.payload)
+  entry.attempts = (entry.attempts || 0) + 1
+  setEntryState(entry, "pending")
+  entry.handoffAt = Date.now()
+  log.info("opening omnifocus URL:", url)
+  try {
+    const tab = await chrome.tabs.create({ url, active: !background })
+    entry.tabId = tab.id
+    handoffTabs.add(tab.id)
+    log.info("opened tab", tab.id)
+    setTimeout(() => expireHandoffs(), HANDOFF_TIMEOUT_MS + 500)
+  } catch (err) {
+    log.warn("handoff failed:", err.message)
+    setEntryState(entry, "failed", err.message)
+  }
+}
+
+async function enqueueSave(payload, { background = false } = {}) {
+  validateTaskFields(payload, await chrome.storage.sync.get(["workdayEnd"]))
+  if (payload.taskpaper != null) {
+    if (!payload.taskpaper.trim()) throw new Error("Nothing to paste")
+    if (!PASTE_TARGETS.includes(payload.target)) throw new Error(`Unknown paste target "${payload.target}"`)
+  } else {
+    Object.assign(payload, await resolveOmniFocusIds(payload))
+  }
+  return updateQueue(async (queue) => {
+    const now = Date.now()
+    const entry = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, attempts: 0, payload }
+    queue.push(entry)
+    await dispatchEntry(entry, { background })
+    return { ...entry }
+  })
+}
+
+// Resolves handoffs whose tab outlived the timeout. Also run whenever the queue is
+// flushed, since the worker may have been suspended before its setTimeout fired.
+// After a browser restart tab ids are meaningless, so every pending entry fails.
+function expireHandoffs({ interrupted = false } = {}) {
+  return updateQueue(async (queue) => {
+    const cutoff = Date.now() - HANDOFF_TIMEOUT_MS
+    for (const entry of queue) {
+      if (entry.state !== "pending") continue
+      if (interrupted || entry.tabId == null) {
+        setEntryState(entry, "failed", "Interrupted before it was sent")
+        continue
+      }
+      if ((entry.handoffAt || 0) > cutoff) continue
+      try {
+        await chrome.tabs.get(entry.tabId)
+      } catch {
+        // Tab is gone and we missed onRemoved — OmniFocus took it.
+        setEntryState(entry, "sent")
+        continue
+      }
+      chrome.tabs.remove(entry.tabId).catch(() => {})
+      setEntryState(entry, "failed", "OmniFocus did not pick up the URL")
+    }
+  })
+}
+
+async function resendQueued(id, edits) {
+  return updateQueue(async (queue) => {
+    const entry = queue.find((e) => e.id === id)
+    if (!entry) throw new Error("Queue entry not found")
+    if (entry.state === "pending") throw new Error("Entry is still being sent")
+    if (edits) entry.payload = { ...entry.payload, ...edits }
+    await dispatchEntry(entry)
+    return { ...entry }
+  })
+}
+
+async function deleteQueued(id) {
+  return updateQueue((queue) => {
+    const i = queue.findIndex((e) => e.id === id)
+    if (i !== -1) queue.splice(i, 1)
+  })
+}
+
+// Resend every failed entry, one at a time.
+async function flushQueue() {
+  await expireHandoffs()
+  const { saveQueue = [] } = await chrome.storage.local.get("saveQueue")
+  const failed = saveQueue.filter((e) => e.state === "failed")
+  let sent = 0
+  for (const entry of failed) {
+    try {
+      const result = await resendQueued(entry.id)
+      if (result.state !== "failed") sent++
+    } catch (err) {
+      log.warn("flush skipped entry:", err.message)
+    }
+  }
+  return { retried: failed.length, sent }
+}
+
+// ── history ──
+// Newest first, capped at MAX_HISTORY. Written once per successful save; the
+// options page reads, filters and exports it.
+async function recordHistory(item) {
+  await updateStoredList(
+    "history",
+    (history) => {
+      history.unshift({ id: crypto.randomUUID(), savedAt: Date.now(), ...item })
+    },
+    (history) => history.slice(0, MAX_HISTORY),
+  )
+}
+
+// Drops one entry, or all of them when `id` is null. Goes through
+// updateStoredList so it can't race a save's recordHistory.
+async function deleteHistory(id) {
+  await updateStoredList("history", () => {}, (history) => (id == null ? [] : history.filter((h) => h.id !== id)))
+}
+
+// Sync renames (ofsync.js applyRenames) in history and the learned filing
+// choices. Returns how many references changed.
+async function renameStoredReferences(kind, renames) {
+  let count = 0
+  for (const key of ["history", FILING_KEY]) {
+    const { result } = await updateStoredList(key, (list) => renameReferences(kind, list, renames))
+    count += result
+  }
+  return count
+}
+
+async function resendHistory(id) {
+  const { history = [] } = await chrome.storage.local.get("history")
+  const item = history.find((h) => h.id === id)
+  if (!item) throw new Error("History entry not found")
+  const { name, note, url, taskpaper, target } = item
+  const entry = await enqueueSave(
+    taskpaper != null
+      ? { name, taskpaper, target, sourceUrl: url }
+      : { name, note, ...pickTaskFields(item), sourceUrl: url },
+  )
+  if (entry.state === "failed") throw new Error(`Queued for retry: ${entry.error}`)
+}
+
+// Summarizes the selection when there is one, otherwise the page's main content.
+// Selections too short to summarize come back as-is with an empty summary (the
+// quote is the note). Resolves to { summary, selection, extractive }. Pass
+// `content` when the caller already has getPageContent's result. When the
+// Summarizer can't run, the page's key sentences stand in (extractive: true).
+async function summarizeTab(tabId, styleOverride = null, content = null) {
+  const { text: pageText, meta, selection } = content || (await getPageContent(await chrome.tabs.get(tabId)))
+  if (selection && selection.length < MIN_TEXT_LEN) return { summary: "", selection }
+  const text = selection || pageText
+  const context = selection
+    ? `The text is an excerpt the user selected from a web page. ${describePage(meta)}`.trim()
+    : describePage(meta)
+  const extraChunks = Math.max(0, Math.ceil(Math.min(text.length, MAX_TEXT_LEN) / CHUNK_ESTIMATE_CHARS) - 1)
+  const timeout = SUMMARY_TIMEOUT_MS + extraChunks * SUMMARY_TIMEOUT_PER_CHUNK_MS
+  const style = await getSummaryStyle(styleOverride)
+  try {
+    const summary = await withTimeout(summarizeViaOffscreen(text, context, style), timeout, "summarize")
+    return { summary, selection, extractive: false }
+  } catch (err) {
+    const extract = text.length >= MIN_TEXT_LEN ? extractiveSummary(text.slice(0, MAX_TEXT_LEN), style) : ""
+    if (!extract) throw err
+    log.info("summarizer unavailable, using key sentences:", err.message)
+    return { summary: extract, selection, extractive: true }
+  }
+}
+
+// The classifier sees how similar pages were filed before (learning.js). When
+// it can't run — no Prompt API, or too little text — the frequency model over
+// those same filing choices answers instead, topped up by keyword matching
+// (fallback.js); the learned project wins over a keyword one.
 async function suggestMetaForTab(tabId) {
   const tab = await chrome.tabs.get(tabId)
   const { projects = [], tags = [] } = await chrome.storage.sync.get(["projects", "tags"])
   // Nothing configured to suggest from → straight to Inbox, no inference.
-  if (!projects.length && !tags.length) return { project: "", tags: [] }
+  if (!projects.length && !tags.length) return { project: "", tags: [], scores: { project: null, tags: {} } }
+
+  const page = { url: tab.url || "", title: tab.title || "" }
+  const { [FILING_KEY]: filings = [] } = await chrome.storage.local.get(FILING_KEY)
+  const { text, meta } = await sharedPageContent(tab)
+  const truncated = text && text.length > MAX_CLASSIFY_LEN ? text.slice(0, MAX_CLASSIFY_LEN) : text || ""
+  const { projectKeywords = [] } = await chrome.storage.sync.get("projectKeywords")
+  const offline = () => {
+    const learned = learnedSuggestion(filings, page, { projects, tags })
+    const matched = keywordSuggestion({ ...page, text: truncated, projects, tags, keywords: projectKeywords })
+    const project = learned.project || matched.project
+    return {
+      project,
+      tags: [...new Set([...learned.tags, ...matched.tags])],
+      scores: {
+        project: learned.scores.project || matched.scores.project,
+        tags: { ...matched.scores.tags, ...learned.scores.tags },
+      },
+    }
+  }
 
-  const text = await getTabText(tab)
-  if (!text || text.length < MIN_TEXT_LEN) return { project: "", tags: [] }
-  const truncated = text.length > MAX_CLASSIFY_LEN ? text.slice(0, MAX_CLASSIFY_LEN) : text
+  if (!text || text.length < MIN_TEXT_LEN) return offline()
 
-  return withTimeout(
-    classifyViaOffscreen(truncated, { title: tab.title || "", url: tab.url || "", projects, tags }),
-    SUMMARY_TIMEOUT_MS,
-    "classify",
+  try {
+    return await withTimeout(
+      classifyViaOffscreen(truncated, {
+        ...page,
+        siteName: meta.siteName || "",
+        byline: meta.byline || "",
+        language: meta.language || "",
+        projects,
+        tags,
+        examples: similarFilings(filings, page).map(formatFilingExample),
+      }),
+      SUMMARY_TIMEOUT_MS,
+      "classify",
+    )
+  } catch (err) {
+    const fallback = offline()
+    if (!fallback.project && !fallback.tags.length) throw err
+    log.info("classifier unavailable, suggesting from past filing and keywords:", err.message)
+    return fallback
+  }
+}
+
+// Actionable task title for the popup (Settings → "Task titles"): rewritten by
+// the Prompt API in "ai" mode, else — or when that fails — the page title with
+// site clutter cleaned off (fallback.js). Resolves to { title, source } with
+// source "ai" | "rules", or { title: "" } when the setting is off.
+async function suggestTitleForTab(tabId, project = "") {
+  const { titleStyle = {} } = await chrome.storage.sync.get("titleStyle")
+  const style = { ...TITLE_STYLE_DEFAULTS, ...titleStyle }
+  if (style.mode === "off") return { title: "", source: "" }
+  const tab = await chrome.tabs.get(tabId)
+  const { text, meta, site } = await sharedPageContent(tab)
+  const page = {
+    title: site?.title || tab.title || "",
+    url: tab.url || "",
+    siteName: meta.siteName || "",
+    site: site?.name,
+  }
+  const rules = () => ({ title: cleanTitle(page, style), source: "rules" })
+  if (style.mode !== "ai") return rules()
+  try {
+    const title = await withTimeout(titleViaOffscreen(text, page, project, style), SUMMARY_TIMEOUT_MS, "title")
+    return title ? { title: fitTitle(title, style.maxLength), source: "ai" } : rules()
+  } catch (err) {
+    log.info("title model unavailable, cleaning up the page title:", err.message)
+    return rules()
+  }
+}
+
+// Due / defer (and flag) suggestions for the popup's "when" row, from the
+// page's schema.org dates and deadline phrases (deadlines.js). Off with
+// Settings → "Suggest dates from the page".
+async function suggestDatesForTab(tabId) {
+  const {
+    suggestDates = true,
+    flagWithinDays = 3,
+    weekStart = 1,
+    workdayEnd = "17:00",
+  } = await chrome.storage.sync.get(["suggestDates", "flagWithinDays", "weekStart", "workdayEnd"])
+  if (!suggestDates) return { dates: [], flag: null }
+  const { text, meta } = await sharedPageContent(await chrome.tabs.get(tabId))
+  return dateSuggestions({ text, structured: meta.dates || [], weekStart, workdayEnd, flagWithinDays })
+}
+
+// Records the project and tags a popup save went with, against what was
+// suggested (msg.filing from the popup). Off with Settings → Learning.
+async function recordFiling(filing, fields) {
+  const { learnFiling = true } = await chrome.storage.sync.get("learnFiling")
+  if (!learnFiling || !filing?.url) return
+  const suggested = filing.suggested || {}
+  const chosen = { project: fields.project || "", tags: fields.tags || [] }
+  if (!chosen.project && !chosen.tags.length && !suggested.project && !suggested.tags?.length) return
+  const example = filingExample({ url: filing.url, title: filing.title, ...chosen, suggested })
+  await updateStoredList(
+    FILING_KEY,
+    (list) => list.unshift(example),
+    (list) => list.slice(0, MAX_FILING_EXAMPLES),
   )
 }
 
+// Settings → "Forget" for one host, or every example when `host` is null.
+async function forgetFilings(host) {
+  await updateStoredList(FILING_KEY, () => {}, (list) => (host == null ? [] : list.filter((e) => e.host !== host)))
+}
+
+// Title and note come from the popup (customTitle / customNote, already rendered
+// through templates.js) or, for page saves without one, from the templates in
+// Settings: the capture rule's (`ruleHit`), the project's, or the global one.
 async function addToOmniFocus(tab, opts) {
   if (!tab?.url) throw new Error("No active tab")
-  const { llmEnabled, customTitle, customNote, project, tags, flag, due } = opts
-  log.info("addToOmniFocus", { url: tab.url, llmEnabled, project, tags, flag, due, hasCustomNote: customNote != null })
+  const { llmEnabled, customTitle, customNote, targetUrl, ruleHit, background } = opts
+  const fields = pickTaskFields(opts)
+  log.info("addToOmniFocus", { url: tab.url, llmEnabled, ...fields, hasCustomNote: customNote != null })
+  // Before the (slow) summary, not just at enqueue.
+  validateTaskFields(fields, await chrome.storage.sync.get(["workdayEnd"]))
 
-  const name = customTitle != null && customTitle.length > 0 ? customTitle : tab.title || ""
+  // targetUrl: saving something on the page (a link, an image) rather than the page.
+  const page = targetUrl ? {} : await getPageLinks(tab)
+  const url = targetUrl || (await cleanTabUrl(tab, page))
+  // Read once for both the site extractor and the summary. A page that can't be
+  // scripted still saves with its tab title and URL.
+  const content =
+    customNote == null && !targetUrl
+      ? await getPageContent(tab).catch((err) => {
+          log.warn("page content unavailable:", err.message)
+          return null
+        })
+      : null
+  const site = content?.site
+  const templateSettings = await chrome.storage.sync.get(["titleTemplate", "noteTemplate", "projectTemplates"])
+  const templates = pickTemplates(templateSettings, { project: fields.project, ruleHit })
+  const vars = templateVars({
+    title: site?.title || tab.title || "",
+    url: site?.link || url,
+    details: site?.details,
+    meta: content?.meta,
+    site: site?.name,
+    project: fields.project,
+    tags: fields.tags,
+  })
+  const name =
+    customTitle != null && customTitle.length > 0
+      ? customTitle
+      : fillTitleCaptures(renderTitleTemplate(templates.title, vars), ruleHit?.captures) || tab.title || ""
 
   let note
   let summarySkipped = false
@@ -150,13 +921,15 @@ async function addToOmniFocus(tab, opts) {
     // Popup pre-built the note; trust it.
     note = customNote
   } else {
-    note = tab.url
     if (llmEnabled) {
       try {
-        const summary = await summarizeTab(tab.id)
-        if (summary) {
-          note = `${tab.url}\n\n${summary}`
-        } else {
+        if (!content) throw new Error("page content unavailable")
+        const { summary, selection } = await summarizeTab(tab.id, null, content)
+        const { quoteSelection = true } = await chrome.storage.sync.get(["quoteSelection"])
+        vars.summary = summary || ""
+        vars.selection = selection || ""
+        vars.quote = selection && quoteSelection ? quoteBlock(selection, textFragmentUrl(url, selection)) : ""
+        if (!summary && !selection) {
           summarySkipped = true
           skipReason = "empty summary"
         }
@@ -166,16 +939,193 @@ async function addToOmniFocus(tab, opts) {
         log.warn("summary skipped:", err.message)
       }
     }
+    note = renderTemplate(templates.note, vars)
   }
 
-  const url = buildOmnifocusUrl({ name, note, project, tags, flag, due })
-
-  log.info("opening omnifocus URL:", url)
-  const newTab = await chrome.tabs.create({ url, active: true })
-  log.info("opened tab", newTab.id)
+  const entry = await enqueueSave({ name, note, ...fields, sourceUrl: url }, { background })
+  if (entry.state === "failed") throw new Error(`Queued for retry: ${entry.error}`)
+  const historyItem = { name, note, ...fields, tags: fields.tags || [], flag: !!fields.flag }
+  await recordHistory({ ...historyItem, url, canonicalUrl: page.canonical || "", queueId: entry.id }).catch((err) =>
+    log.warn("history write failed:", err.message),
+  )
   log.info("done")
 
-  return { summarySkipped, skipReason }
+  return { summarySkipped, skipReason, queueId: entry.id }
+}
+
+// Checklist capture: the page becomes a parent (new project, or an action group
+// in the inbox) with the listed actions under it, pasted as TaskPaper. The popup
+// builds the parent's note; `actions` carry their own tags and dates.
+async function saveChecklist(tab, opts) {
+  const { name, note, target, sequential, actions } = opts
+  const fields = pickTaskFields(opts)
+  const day = await chrome.storage.sync.get(["workdayEnd"])
+  validateTaskFields(fields, day)
+  actions.forEach((action, i) => {
+    try {
+      validateTaskFields(pickTaskFields(action), day)
+    } catch (err) {
+      throw new Error(`Action ${i + 1}: ${err.message}`)
+    }
+  })
+  if (!actions.length) throw new Error("The checklist is empty")
+
+  const parent = { name, note, ...fields, parallel: !sequential, children: actions }
+  const taskpaper = toTaskPaper([parent])
+  const url = await cleanTabUrl(tab)
+  log.info("saveChecklist", { url, target, actions: actions.length })
+
+  const entry = await enqueueSave({ name, taskpaper, target, sourceUrl: url })
+  if (entry.state === "failed") throw new Error(`Queued for retry: ${entry.error}`)
+  await recordHistory({ name, note, ...fields, taskpaper, target, url, queueId: entry.id }).catch((err) =>
+    log.warn("history write failed:", err.message),
+  )
+  return { queueId: entry.id }
+}
+
+function broadcastBatchProgress(progress) {
+  chrome.runtime.sendMessage({ target: "popup", action: "batchProgress", ...progress }).catch(() => {})
+}
+
+// Tabs a batch save covers. Only http(s) pages are kept: chrome:// pages can't be
+// scripted and a leftover omnifocus:// tab is never worth saving.
+async function queryBatchTabs({ scope, windowId, groupId }) {
+  let query
+  if (scope === "group") {
+    if (groupId == null || groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) throw new Error("Tab is not in a group")
+    query = { groupId }
+  } else if (scope === "selected") {
+    query = { windowId, highlighted: true }
+  } else {
+    query = { windowId }
+  }
+  const tabs = await chrome.tabs.query(query)
+  return tabs.filter((t) => /^https?:\/\//i.test(t.url || ""))
+}
+
+async function defaultBatchTitle({ scope, groupId }, count) {
+  if (scope === "group") {
+    try {
+      const group = await chrome.tabGroups.get(groupId)
+      if (group.title) return `Tab group: ${group.title}`
+    } catch {}
+  }
+  return `${count} saved tabs`
+}
+
+// One line per tab for the "single" batch mode: title, URL, then the summary when
+// there is one. A failed summary just drops that line's summary, like a single save.
+// `url` is the cleaned URL the line lists, for the batch's history entry.
+async function buildBatchLine(tab, llmEnabled) {
+  const url = await cleanTabUrl(tab)
+  const lines = [`- ${tab.title || url}`, `  ${url}`]
+  let summarySkipped = false
+  if (llmEnabled) {
+    try {
+      const { summary } = await summarizeTab(tab.id)
+      if (summary) lines.push(`  ${summary}`)
+      else summarySkipped = true
+    } catch (err) {
+      summarySkipped = true
+      log.warn("batch summary skipped:", tab.url, err.message)
+    }
+  }
+  return { line: lines.join("\n"), url, summarySkipped }
+}
+
+// Save several tabs at once. mode "each" files one OmniFocus action per tab;
+// mode "single" files one parent action whose note lists every tab, recorded in
+// history with every tab's URL (`urls`) so each one counts as saved. Tabs are
+// processed sequentially (the summarizer is a single shared instance) and each
+// one reports progress to the popup. Handoff tabs open in the background so the
+// popup stays open to the end.
+async function saveTabBatch(opts) {
+  const { mode, llmEnabled, customTitle } = opts
+  const fields = pickTaskFields(opts)
+  validateTaskFields(fields, await chrome.storage.sync.get(["workdayEnd"]))
+  const tabs = await queryBatchTabs(opts)
+  if (!tabs.length) throw new Error("No web pages to save")
+  log.info("saveTabBatch", { scope: opts.scope, mode, count: tabs.length })
+
+  const total = tabs.length
+  const results = []
+  const lines = []
+  const urls = []
+  for (const [index, tab] of tabs.entries()) {
+    const base = { index, total, title: tab.title || tab.url }
+    broadcastBatchProgress({ ...base, state: "working" })
+    try {
+      const saved =
+        mode === "single"
+          ? await buildBatchLine(tab, llmEnabled)
+          : await addToOmniFocus(tab, { llmEnabled, ...fields, background: true })
+      if (mode === "single") {
+        lines.push(saved.line)
+        urls.push(saved.url)
+      }
+      results.push({ tabId: tab.id, ok: true })
+      broadcastBatchProgress({ ...base, state: "done", summarySkipped: saved.summarySkipped })
+    } catch (err) {
+      log.warn("batch item failed:", tab.url, err.message)
+      results.push({ tabId: tab.id, ok: false, error: err.message })
+      broadcastBatchProgress({ ...base, state: "failed", error: err.message })
+    }
+  }
+
+  if (mode === "single") {
+    // Nothing to list: filing a parent with an empty note would look like a save.
+    if (!lines.length) throw new Error(`None of the ${total} tabs could be read: ${results[0].error}`)
+    const name = customTitle || (await defaultBatchTitle(opts, lines.length))
+    const note = lines.join("\n\n")
+    const entry = await enqueueSave({ name, note, ...fields }, { background: true })
+    if (entry.state === "failed") throw new Error(`Queued for retry: ${entry.error}`)
+    const historyItem = { name, note, ...fields, tags: fields.tags || [], flag: !!fields.flag }
+    await recordHistory({ ...historyItem, url: "", urls, queueId: entry.id }).catch((err) =>
+      log.warn("history write failed:", err.message),
+    )
+  }
+
+  return { total, failed: results.filter((r) => !r.ok).length, results }
+}
+
+// The task fields of a popup message, with types coerced; validateTaskFields
+// checks the values.
+function taskFieldsFrom(msg) {
+  return {
+    project: msg.project ?? null,
+    projectId: msg.project ? (msg.projectId ?? null) : null,
+    tags: Array.isArray(msg.tags) ? msg.tags : [],
+    flag: !!msg.flag,
+    due: msg.due ?? null,
+    defer: msg.defer ?? null,
+    estimate: msg.estimate ?? null,
+    repeatRule: msg.repeatRule ?? null,
+    repeatMethod: msg.repeatMethod ?? null,
+    completed: msg.completed ?? null,
+  }
+}
+
+// Capture-rule defaults for saves that skip the popup (shortcut, context menu);
+// the popup applies the same rules itself so they can be edited before saving.
+async function ruleFieldsFor(tab) {
+  const {
+    captureRules = [],
+    weekStart = 1,
+    workdayEnd = "17:00",
+  } = await chrome.storage.sync.get(["captureRules", "weekStart", "workdayEnd"])
+  const hit = applyCaptureRules(captureRules, { url: tab.url, title: tab.title || "" })
+  if (!hit) return {}
+  log.info("capture rule matched:", hit.rule.match, hit.rule.pattern)
+  const when = parseWhen(hit.due, { weekStart, workdayEnd })
+  if (when.error) log.warn("capture rule due ignored:", when.error)
+  return {
+    ruleHit: { titleTemplate: hit.titleTemplate, captures: hit.captures, noteTemplate: hit.noteTemplate },
+    project: hit.project,
+    tags: hit.tags,
+    flag: hit.flag,
+    due: formatOmniFocusDate(when.due),
+    defer: formatOmniFocusDate(when.defer),
+  }
 }
 
 async function handleSave(opts) {
@@ -187,21 +1137,248 @@ async function handleSave(opts) {
   return addToOmniFocus(tab, opts)
 }
 
+// ── background project/tag sync ──
+// Runs the ofsync.js script through the x-callback-url form of omnijs-run, on the
+// chrome.alarms schedule set in options or on "Sync now". OmniFocus opens the
+// x-success URL with the script's result appended, but macOS only opens URLs
+// whose scheme some app claims, so it can't point at chrome-extension:// directly.
+// It points at a reserved .invalid host instead, in the default browser; the
+// tab is caught here as it navigates and sent on to sync.html, which applies
+// the result. The token ties the callback to the run that asked for it.
+const SYNC_ALARM = "ofSync"
+const SYNC_CALLBACK_URL = "https://omnifocus-sync.invalid/callback"
+
+// Keeps the alarm in step with the setting. An existing alarm with the right
+// period is left alone so restarts don't push the next run back; a new one
+// fires when the last sync is one period old.
+async function scheduleSync() {
+  const { autoSyncMinutes = 0 } = await chrome.storage.sync.get("autoSyncMinutes")
+  const alarm = await chrome.alarms.get(SYNC_ALARM)
+  if (!autoSyncMinutes) {
+    if (alarm) await chrome.alarms.clear(SYNC_ALARM)
+    return
+  }
+  if (alarm?.periodInMinutes === autoSyncMinutes) return
+  const { [SYNC_STATUS_KEY]: status } = await chrome.storage.local.get(SYNC_STATUS_KEY)
+  const since = (Date.now() - (lastSyncedAt(status) || 0)) / 60000
+  await chrome.alarms.create(SYNC_ALARM, {
+    delayInMinutes: Math.max(1, autoSyncMinutes - since),
+    periodInMinutes: autoSyncMinutes,
+  })
+  log.info(`background sync every ${autoSyncMinutes} min`)
+}
+
+async function startBackgroundSync() {
+  const token = crypto.randomUUID()
+  const callback = (extra = "") => encodeURIComponent(`${SYNC_CALLBACK_URL}?token=${token}${extra}`)
+  const url =
+    `omnifocus://x-callback-url/omnijs-run?script=${encodeURIComponent(buildSyncScript(SYNC_KINDS))}` +
+    `&x-success=${callback()}&x-error=${callback("&failed=1")}&x-cancel=${callback("&cancelled=1")}`
+  await updateSyncStatus({ state: "waiting", token, startedAt: Date.now(), error: null })
+  log.info("background sync: handing the script to OmniFocus")
+  // Mostly run from the alarm, so the tab stays in the background rather than
+  // taking focus from whatever the user is doing.
+  const tab = await chrome.tabs.create({ url, active: false })
+  // Like a save's handoff tab, Chrome closes it once OmniFocus takes the URL.
+  setTimeout(() => chrome.tabs.remove(tab.id).catch(() => {}), HANDOFF_TIMEOUT_MS)
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== SYNC_ALARM) return
+  startBackgroundSync().catch((err) => {
+    log.error("background sync failed:", err)
+    updateSyncStatus({ state: "failed", error: err.message, token: null })
+  })
+})
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url?.startsWith(`${SYNC_CALLBACK_URL}?`)) return
+  const { search } = new URL(changeInfo.url)
+  chrome.tabs.update(tabId, { url: chrome.runtime.getURL(`sync.html${search}`) }).catch((err) => {
+    log.warn("couldn't open the sync page:", err.message)
+  })
+})
+
+// ── context menus ──
+// Four top-level entries, each with a submenu of the configured projects (plus
+// Inbox). Item ids are "<kind>" or "<kind>:<project index>"; the project list is
+// re-read on click, so a stale index only ever points at Inbox.
+const MENU_KINDS = [
+  { id: "page", title: "Save page to OmniFocus", contexts: ["page"] },
+  { id: "link", title: "Save link to OmniFocus", contexts: ["link"] },
+  { id: "selection", title: "Save selection as task", contexts: ["selection"] },
+  { id: "image", title: "Save image link", contexts: ["image"], targetUrlPatterns: ["http://*/*", "https://*/*"] },
+]
+const MAX_MENU_PROJECTS = 30
+const MAX_TITLE_LEN = 120
+
+let menuBuild = Promise.resolve()
+
+// removeAll + create must not interleave with another rebuild (duplicate ids).
+function buildContextMenus() {
+  menuBuild = menuBuild
+    .then(async () => {
+      const { projects = [] } = await chrome.storage.sync.get(["projects"])
+      await chrome.contextMenus.removeAll()
+      for (const { id, ...props } of MENU_KINDS) {
+        chrome.contextMenus.create({ id, ...props })
+        if (!projects.length) continue
+        chrome.contextMenus.create({ id: `${id}:inbox`, parentId: id, title: "Inbox", contexts: props.contexts })
+        chrome.contextMenus.create({ id: `${id}:sep`, parentId: id, type: "separator", contexts: props.contexts })
+        projects.slice(0, MAX_MENU_PROJECTS).forEach((project, i) => {
+          // "&" is an access-key marker in menu titles; "&&" shows a literal one.
+          const title = project.replace(/&/g, "&&")
+          chrome.contextMenus.create({ id: `${id}:${i}`, parentId: id, title, contexts: props.contexts })
+        })
+      }
+    })
+    .catch((err) => log.warn("context menu build failed:", err.message))
+  return menuBuild
+}
+
+function truncate(text, max) {
+  const flat = text.replace(/\s+/g, " ").trim()
+  return flat.length > max ? `${flat.slice(0, max - 1).trimEnd()}…` : flat
+}
+
+// Runs `func` in the frame the menu was opened in; null when the frame can't be
+// scripted (chrome:// pages, the PDF viewer, sandboxed frames).
+async function runInFrame(tab, frameId, func, args = []) {
+  try {
+    const [r] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [frameId || 0] },
+      func,
+      args,
+    })
+    return r?.result ?? null
+  } catch {
+    return null
+  }
+}
+
+// OnClickData has no link text or alt text, so look the element up by URL.
+function findLinkText(href) {
+  const a = Array.from(document.links).find((l) => l.href === href)
+  return a ? (a.innerText || a.title || a.querySelector("img")?.alt || "").trim() : ""
+}
+
+function findImageAlt(src) {
+  const img = Array.from(document.images).find((i) => i.currentSrc === src || i.src === src)
+  return img ? (img.alt || img.title || "").trim() : ""
+}
+
+// info.selectionText has its line breaks collapsed; the live selection keeps them.
+function readSelection() {
+  return window.getSelection()?.toString() || ""
+}
+
+async function saveFromMenu(info, tab) {
+  const [kind, index] = String(info.menuItemId).split(":")
+  const { projects = [] } = await chrome.storage.sync.get(["projects"])
+  const project = index != null && index !== "inbox" ? projects[Number(index)] || null : null
+  const pageUrl = await cleanTabUrl(tab)
+  const source = `From: ${tab.title || pageUrl}\n${pageUrl}`
+
+  if (kind === "page") {
+    // A project picked from the submenu beats the rule's; "Inbox" counts as a pick.
+    const picked = index != null ? { project } : {}
+    return addToOmniFocus(tab, { llmEnabled: true, ...(await ruleFieldsFor(tab)), ...picked })
+  }
+  if (kind === "link") {
+    const url = await cleanLinkUrl(info.linkUrl)
+    const text = (await runInFrame(tab, info.frameId, findLinkText, [info.linkUrl])) || info.selectionText || url
+    const customTitle = truncate(text, MAX_TITLE_LEN)
+    return addToOmniFocus(tab, { customTitle, customNote: `${url}\n\n${source}`, targetUrl: url, project })
+  }
+  if (kind === "selection") {
+    const selection = ((await runInFrame(tab, info.frameId, readSelection)) || info.selectionText || "").trim()
+    if (!selection) throw new Error("Nothing selected")
+    const customTitle = truncate(selection.split("\n")[0], MAX_TITLE_LEN)
+    const customNote = [pageUrl, quoteBlock(selection, textFragmentUrl(pageUrl, selection))].join("\n\n")
+    return addToOmniFocus(tab, { customTitle, customNote, project })
+  }
+  if (kind === "image") {
+    const url = await cleanLinkUrl(info.srcUrl)
+    const alt = await runInFrame(tab, info.frameId, findImageAlt, [info.srcUrl])
+    const customTitle = truncate(alt || `Image from ${tab.title || new URL(pageUrl).hostname}`, MAX_TITLE_LEN)
+    return addToOmniFocus(tab, { customTitle, customNote: `${url}\n\n${source}`, targetUrl: url, project })
+  }
+  throw new Error(`Unknown menu item: ${info.menuItemId}`)
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id || tab.id === chrome.tabs.TAB_ID_NONE) return
+  saveFromMenu(info, tab).catch((err) => {
+    log.error("context menu save failed:", err)
+    flashBadge("err")
+  })
+})
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.projects) buildContextMenus()
+  if (area === "sync" && changes.autoSyncMinutes) scheduleSync()
+})
+
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   // Ignore messages destined for other endpoints.
   if (msg?.target === "offscreen" || msg?.target === "popup") return
 
   if (msg?.action === "addToOmnifocus") {
+    const fields = taskFieldsFrom(msg)
     handleSave({
       llmEnabled: !!msg.llmEnabled,
       customTitle: typeof msg.customTitle === "string" ? msg.customTitle : null,
       customNote: typeof msg.customNote === "string" ? msg.customNote : null,
-      project: msg.project ?? null,
-      tags: Array.isArray(msg.tags) ? msg.tags : [],
-      flag: !!msg.flag,
-      due: msg.due ?? null,
+      ...fields,
     })
-      .then(({ summarySkipped, skipReason }) => sendResponse({ success: true, summarySkipped, reason: skipReason }))
+      .then(({ summarySkipped, skipReason }) => {
+        sendResponse({ success: true, summarySkipped, reason: skipReason })
+        recordFiling(msg.filing, fields).catch((err) => log.warn("couldn't record filing:", err.message))
+      })
+      .catch((err) => {
+        log.error(err)
+        sendResponse({ success: false, error: err.message })
+      })
+    return true
+  }
+
+  if (msg?.action === "addChecklistToOmnifocus") {
+    const actions = (Array.isArray(msg.actions) ? msg.actions : []).map((a) => ({
+      name: String(a?.name || "").trim(),
+      ...taskFieldsFrom(a || {}),
+    }))
+    chrome.tabs
+      .query({ active: true, currentWindow: true })
+      .then(([tab]) => {
+        if (!tab) throw new Error("No active tab")
+        return saveChecklist(tab, {
+          name: typeof msg.name === "string" ? msg.name : "",
+          note: typeof msg.note === "string" ? msg.note : "",
+          target: msg.target === "inbox" ? "inbox" : "projects",
+          sequential: !!msg.sequential,
+          actions: actions.filter((a) => a.name),
+          ...taskFieldsFrom(msg),
+        })
+      })
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => {
+        log.error(err)
+        sendResponse({ success: false, error: err.message })
+      })
+    return true
+  }
+
+  if (msg?.action === "addTabsToOmnifocus") {
+    saveTabBatch({
+      scope: ["selected", "group", "window"].includes(msg.scope) ? msg.scope : "window",
+      windowId: msg.windowId ?? chrome.windows.WINDOW_ID_CURRENT,
+      groupId: msg.groupId ?? null,
+      mode: msg.mode === "single" ? "single" : "each",
+      llmEnabled: !!msg.llmEnabled,
+      customTitle: typeof msg.customTitle === "string" && msg.customTitle ? msg.customTitle : null,
+      ...taskFieldsFrom(msg),
+    })
+      .then(({ total, failed, results }) => sendResponse({ success: true, total, failed, results }))
       .catch((err) => {
         log.error(err)
         sendResponse({ success: false, error: err.message })
@@ -215,8 +1392,23 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
       sendResponse({ success: false, error: "no tabId" })
       return false
     }
-    summarizeTab(tabId)
-      .then((summary) => sendResponse({ success: true, summary: summary || "" }))
+    const style = msg.style && typeof msg.style === "object" ? msg.style : null
+    chrome.tabs
+      .get(tabId)
+      .then(async (tab) => {
+        const { summary, selection, extractive } = await summarizeTab(tabId, style, await sharedPageContent(tab))
+        const fragmentUrl = selection
+          ? textFragmentUrl(await cleanTabUrl(tab, await sharedPageLinks(tab)), selection)
+          : ""
+        sendResponse({
+          success: true,
+          summary: summary || "",
+          source: selection ? "selection" : "page",
+          extractive: !!extractive,
+          selection,
+          fragmentUrl,
+        })
+      })
       .catch((err) => {
         log.warn("summarize failed:", err.message)
         sendResponse({ success: false, error: err.message })
@@ -224,6 +1416,23 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     return true
   }
 
+  if (msg?.action === "siteInfo") {
+    const tabId = msg.tabId
+    if (!tabId) {
+      sendResponse({ success: false, error: "no tabId" })
+      return false
+    }
+    chrome.tabs
+      .get(tabId)
+      .then(sharedPageContent)
+      .then(({ site, meta }) => sendResponse({ success: true, site, meta }))
+      .catch((err) => {
+        log.warn("siteInfo failed:", err.message)
+        sendResponse({ success: false, error: err.message })
+      })
+    return true
+  }
+
   if (msg?.action === "suggestMeta") {
     const tabId = msg.tabId
     if (!tabId) {
@@ -231,7 +1440,7 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
       return false
     }
     suggestMetaForTab(tabId)
-      .then(({ project, tags }) => sendResponse({ success: true, project, tags }))
+      .then(({ project, tags, scores }) => sendResponse({ success: true, project, tags, scores }))
       .catch((err) => {
         log.warn("suggestMeta failed:", err.message)
         sendResponse({ success: false, error: err.message })
@@ -239,6 +1448,126 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     return true
   }
 
+  if (msg?.action === "suggestTitle") {
+    const tabId = msg.tabId
+    if (!tabId) {
+      sendResponse({ success: false, error: "no tabId" })
+      return false
+    }
+    suggestTitleForTab(tabId, msg.project || "")
+      .then(({ title, source }) => sendResponse({ success: true, title, source }))
+      .catch((err) => {
+        log.warn("suggestTitle failed:", err.message)
+        sendResponse({ success: false, error: err.message })
+      })
+    return true
+  }
+
+  if (msg?.action === "suggestDates") {
+    const tabId = msg.tabId
+    if (!tabId) {
+      sendResponse({ success: false, error: "no tabId" })
+      return false
+    }
+    suggestDatesForTab(tabId)
+      .then(({ dates, flag }) => sendResponse({ success: true, dates, flag }))
+      .catch((err) => {
+        log.warn("suggestDates failed:", err.message)
+        sendResponse({ success: false, error: err.message })
+      })
+    return true
+  }
+
+  if (msg?.action === "cleanUrl") {
+    const tabId = msg.tabId
+    if (!tabId) {
+      sendResponse({ success: false, error: "no tabId" })
+      return false
+    }
+    chrome.tabs
+      .get(tabId)
+      .then(async (tab) => cleanTabUrl(tab, await sharedPageLinks(tab)))
+      .then((url) => sendResponse({ success: true, url }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "findDuplicate") {
+    const tabId = msg.tabId
+    if (!tabId) {
+      sendResponse({ success: false, error: "no tabId" })
+      return false
+    }
+    chrome.tabs
+      .get(tabId)
+      .then(findPreviousCapture)
+      .then((previous) => {
+        const duplicate = previous && {
+          savedAt: previous.savedAt,
+          name: previous.name,
+          project: previous.project,
+          daysAgo: Math.floor((Date.now() - previous.savedAt) / DAY_MS),
+        }
+        sendResponse({ success: true, duplicate })
+      })
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "flushQueue") {
+    flushQueue()
+      .then(({ retried, sent }) => sendResponse({ success: true, retried, sent }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "resendQueued") {
+    const edits = msg.edits && typeof msg.edits === "object" ? msg.edits : null
+    resendQueued(msg.id, edits)
+      .then((entry) => sendResponse({ success: entry.state !== "failed", error: entry.error }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "deleteQueued") {
+    deleteQueued(msg.id)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "resendHistory") {
+    resendHistory(msg.id)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "deleteHistory") {
+    deleteHistory(msg.id ?? null)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "forgetFilings") {
+    forgetFilings(typeof msg.host === "string" ? msg.host : null)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
+  if (msg?.action === "renameReferences") {
+    if (!SYNC_KINDS.includes(msg.kind) || !Array.isArray(msg.renames)) {
+      sendResponse({ success: false, error: "bad rename request" })
+      return false
+    }
+    renameStoredReferences(msg.kind, msg.renames)
+      .then((count) => sendResponse({ success: true, count }))
+      .catch((err) => sendResponse({ success: false, error: err.message }))
+    return true
+  }
+
   if (msg?.action === "checkAvailability") {
     warmupSummarizer()
       .then((resp) =>
@@ -251,6 +1580,17 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     return true
   }
 
+  if (msg?.action === "syncNow") {
+    startBackgroundSync()
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => {
+        log.error("sync now failed:", err)
+        updateSyncStatus({ state: "failed", error: err.message, token: null })
+        sendResponse({ success: false, error: err.message })
+      })
+    return true
+  }
+
   sendResponse({ success: false, error: `Unknown action: ${msg?.action}` })
   return false
 })
@@ -258,20 +1598,52 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 chrome.commands.onCommand.addListener(async (command) => {
   if (command !== "addToOmnifocusPopupSummary") return
   try {
-    await handleSave({ llmEnabled: true })
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+    if (!tab) throw new Error("No active tab")
+    const { skipDuplicates = true } = await chrome.storage.sync.get(["skipDuplicates"])
+    if (skipDuplicates) {
+      const previous = await findPreviousCapture(tab)
+      if (previous) {
+        log.info("command skipped — already saved", new Date(previous.savedAt).toISOString())
+        flashBadge("dup")
+        return
+      }
+    }
+    await addToOmniFocus(tab, { llmEnabled: true, ...(await ruleFieldsFor(tab)) })
   } catch (err) {
     log.error("command failed:", err)
   }
 })
 
+// Chrome closes the blank handoff tab once the URL is passed to OmniFocus.
+// Read-only check first: most closed tabs have nothing to do with the queue.
+async function isHandoffTab(tabId) {
+  if (handoffTabs.has(tabId)) return true
+  const { saveQueue = [] } = await chrome.storage.local.get("saveQueue")
+  return saveQueue.some((e) => e.state === "pending" && e.tabId === tabId)
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  if (!(await isHandoffTab(tabId))) return
+  updateQueue((queue) => {
+    const entry = queue.find((e) => e.state === "pending" && e.tabId === tabId)
+    if (entry) setEntryState(entry, "sent")
+  }).catch((err) => log.warn("queue update failed:", err.message))
+})
+
 chrome.runtime.onInstalled.addListener(() => {
   log.info("onInstalled — kicking warmup")
   warmupSummarizer()
+  buildContextMenus()
+  expireHandoffs()
+  scheduleSync()
 })
 
 chrome.runtime.onStartup.addListener(() => {
   log.info("onStartup — kicking warmup")
   warmupSummarizer()
+  expireHandoffs({ interrupted: true })
+  scheduleSync()
 })
 
 console.log("[of-ext] background loaded")
@@ -0,0 +1,321 @@
+// Type-ahead pickers for the popup's project and tag fields. Plain script
+// loaded by popup.html before popup.js.
+//
+// Matching is fuzzy — the letters of the query in order, so "rdl" finds "Read
+// Later" — over the name first and then the folder / parent path. Items used
+// recently or often (from History) rank higher and carry a dot; with nothing
+// typed the list opens on them. Keys: ↑/↓ move, Enter (and "," with
+// `commitOnComma`) picks, Esc closes, Backspace in an empty field calls
+// `onBackspace`.
+
+const COMBO_MAX_SHOWN = 50
+const COMBO_RECENT_SHOWN = 5
+const COMBO_HALF_LIFE_DAYS = 14
+const COMBO_MAX_USE_BOOST = 5
+const COMBO_WORD_BREAK_RE = /[\s:/_\-.@()]/
+
+// Letters of `query` in order within `text` → { score, positions }, or null.
+// Word starts and runs of adjacent letters score higher; of the alignments that
+// start at each occurrence of the first letter, the best one wins.
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase()
+  const t = text.toLowerCase()
+  if (!q) return { score: 0, positions: [] }
+  let best = null
+  for (let start = t.indexOf(q[0]); start >= 0; start = t.indexOf(q[0], start + 1)) {
+    const positions = []
+    let score = 0
+    let from = start
+    for (const ch of q) {
+      const i = t.indexOf(ch, from)
+      if (i < 0) break
+      const camel = text[i] !== t[i] && i > 0 && text[i - 1] === t[i - 1]
+      const wordStart = i === 0 || COMBO_WORD_BREAK_RE.test(t[i - 1]) || camel
+      const adjacent = positions.length && i === positions[positions.length - 1] + 1
+      score += 1 + (adjacent ? 3 : 0) + (wordStart ? 4 : 0) - Math.min(i - from, 5) * 0.1
+      positions.push(i)
+      from = i + 1
+    }
+    // Starting later can only match less, so there's no point going on.
+    if (positions.length < q.length) break
+    if (!best || score > best.score) best = { score, positions }
+  }
+  if (best) best.score -= t.length * 0.01
+  return best
+}
+
+// How much each value has been used in History → Map value → { uses, lastUsed, weight }.
+// `pick(entry)` returns the values an entry used. Each use counts less the
+// older it is, halving every COMBO_HALF_LIFE_DAYS.
+function comboUsage(history, pick, now = Date.now()) {
+  const usage = new Map()
+  for (const entry of history) {
+    const age = Math.max(0, now - (entry.savedAt || 0)) / (24 * 60 * 60 * 1000)
+    for (const value of pick(entry) || []) {
+      if (!value) continue
+      const u = usage.get(value) || { uses: 0, lastUsed: 0, weight: 0 }
+      u.uses++
+      u.lastUsed = Math.max(u.lastUsed, entry.savedAt || 0)
+      u.weight += 0.5 ** (age / COMBO_HALF_LIFE_DAYS)
+      usage.set(value, u)
+    }
+  }
+  return usage
+}
+
+// Name first; failing that, "path : name", so "wk err" finds Errands under Work.
+function matchComboItem(query, item) {
+  const onLabel = fuzzyMatch(query, item.label)
+  if (onLabel) return { score: onLabel.score + 2, labelHits: onLabel.positions, pathHits: [] }
+  if (!item.path) return null
+  const prefix = `${item.path} : `
+  const onFull = fuzzyMatch(query, prefix + item.label)
+  if (!onFull) return null
+  return {
+    score: onFull.score,
+    pathHits: onFull.positions.filter((i) => i < item.path.length),
+    labelHits: onFull.positions.filter((i) => i >= prefix.length).map((i) => i - prefix.length),
+  }
+}
+
+// Text with the matched letters wrapped in <mark>.
+function comboHighlight(text, hits) {
+  const frag = document.createDocumentFragment()
+  const set = new Set(hits)
+  let run = ""
+  let marked = false
+  const flush = () => {
+    if (!run) return
+    if (marked) {
+      const m = document.createElement("mark")
+      m.textContent = run
+      frag.appendChild(m)
+    } else {
+      frag.appendChild(document.createTextNode(run))
+    }
+    run = ""
+  }
+  for (let i = 0; i < text.length; i++) {
+    if (set.has(i) !== marked) {
+      flush()
+      marked = set.has(i)
+    }
+    run += text[i]
+  }
+  flush()
+  return frag
+}
+
+function comboUsageTitle(usage) {
+  const days = Math.floor((Date.now() - usage.lastUsed) / (24 * 60 * 60 * 1000))
+  const when = days <= 0 ? "today" : days === 1 ? "yesterday" : `${days} days ago`
+  return `Used ${usage.uses} time${usage.uses === 1 ? "" : "s"}, last ${when}`
+}
+
+// Wires `input` (the text field) and `list` (an empty <ul>) into a combobox.
+//   items()      → [{ value, label, path, usage }] to choose from right now;
+//                  `usage` is a comboUsage entry or undefined
+//   onPick(item) → called with one of items(), or { value, label, isNew: true }
+//                  for a typed name that isn't in the list (with `allowNew`)
+//   newLabel(v)  → text of the "create" row
+//   isKnown(v)   → whether a typed name needs no "create" row (default: in items())
+// With `keepOpen` the list stays up after a pick, for picking several.
+// Returns { open, close }.
+function attachCombobox({
+  input,
+  list,
+  items,
+  onPick,
+  allowNew = false,
+  newLabel = (v) => `+ "${v}"`,
+  isKnown = (v) => items().some((i) => i.label.toLowerCase() === v.toLowerCase()),
+  keepOpen = false,
+  commitOnComma = false,
+  onBackspace = null,
+}) {
+  let shown = [] // [{ item, el }] in display order
+  let active = -1
+  let query = ""
+
+  input.setAttribute("role", "combobox")
+  input.setAttribute("aria-autocomplete", "list")
+  input.setAttribute("aria-expanded", "false")
+  input.setAttribute("aria-controls", list.id)
+  list.setAttribute("role", "listbox")
+  list.hidden = true
+
+  function ranked() {
+    const all = items()
+    if (!query) {
+      const recent = all
+        .filter((i) => i.usage)
+        .sort((a, b) => b.usage.weight - a.usage.weight)
+        .slice(0, COMBO_RECENT_SHOWN)
+      const rest = all.filter((i) => !recent.includes(i))
+      return { recent, rest: rest.map((item) => ({ item, labelHits: [], pathHits: [] })) }
+    }
+    const rest = []
+    for (const item of all) {
+      const match = matchComboItem(query, item)
+      if (!match) continue
+      rest.push({ item, ...match, rank: match.score + Math.min(item.usage?.weight || 0, COMBO_MAX_USE_BOOST) })
+    }
+    return { recent: [], rest: rest.sort((a, b) => b.rank - a.rank) }
+  }
+
+  function addHead(text) {
+    const li = document.createElement("li")
+    li.className = "combo-head"
+    li.setAttribute("role", "presentation")
+    li.textContent = text
+    list.appendChild(li)
+  }
+
+  function addOption(item, { labelHits = [], pathHits = [] } = {}) {
+    const li = document.createElement("li")
+    li.className = "combo-option"
+    li.id = `${list.id}-${shown.length}`
+    li.setAttribute("role", "option")
+    if (item.isNew) {
+      li.classList.add("combo-new")
+      li.textContent = newLabel(item.value)
+    } else {
+      if (item.usage) {
+        const dot = document.createElement("span")
+        dot.className = "combo-used"
+        dot.textContent = "•"
+        li.title = comboUsageTitle(item.usage)
+        li.appendChild(dot)
+      }
+      const name = document.createElement("span")
+      name.className = "combo-name"
+      name.appendChild(comboHighlight(item.label, labelHits))
+      li.appendChild(name)
+      if (item.path) {
+        const path = document.createElement("span")
+        path.className = "combo-path"
+        path.appendChild(comboHighlight(item.path, pathHits))
+        li.appendChild(path)
+      }
+    }
+    const index = shown.length
+    li.addEventListener("mousedown", (e) => e.preventDefault()) // keep focus in the field
+    li.addEventListener("mousemove", () => setActive(index))
+    li.addEventListener("click", () => pick(index))
+    list.appendChild(li)
+    shown.push({ item, el: li })
+  }
+
+  function render() {
+    list.innerHTML = ""
+    shown = []
+    const { recent, rest } = ranked()
+    if (recent.length) {
+      addHead("Recent")
+      for (const item of recent) addOption(item)
+      if (rest.length) addHead("All")
+    }
+    for (const match of rest.slice(0, COMBO_MAX_SHOWN)) addOption(match.item, match)
+    if (rest.length > COMBO_MAX_SHOWN) addHead(`… ${rest.length - COMBO_MAX_SHOWN} more — keep typing`)
+
+    const typed = query.trim()
+    if (allowNew && typed && !typed.includes(",") && !isKnown(typed)) {
+      addOption({ value: typed, label: typed, isNew: true })
+    }
+    if (!shown.length) addHead("No matches")
+    setActive(shown.length && query ? 0 : -1)
+  }
+
+  function setActive(index) {
+    if (shown[active]) shown[active].el.classList.remove("active")
+    active = index
+    const current = shown[active]
+    if (current) {
+      current.el.classList.add("active")
+      current.el.scrollIntoView({ block: "nearest" })
+      input.setAttribute("aria-activedescendant", current.el.id)
+    } else {
+      input.removeAttribute("aria-activedescendant")
+    }
+  }
+
+  function open() {
+    render()
+    list.hidden = false
+    input.setAttribute("aria-expanded", "true")
+    input.closest(".meta-row")?.classList.add("combo-open")
+  }
+
+  function close() {
+    list.hidden = true
+    input.setAttribute("aria-expanded", "false")
+    input.removeAttribute("aria-activedescendant")
+    input.closest(".meta-row")?.classList.remove("combo-open")
+  }
+
+  function pick(index) {
+    const choice = shown[index]?.item
+    if (!choice) return false
+    query = ""
+    onPick(choice)
+    if (!keepOpen) close()
+    else if (!list.hidden) render()
+    return true
+  }
+
+  // "a, b" typed or pasted in one go → each name picked in turn.
+  function pickTyped(text) {
+    for (const part of text.split(",").map((s) => s.trim())) {
+      if (!part) continue
+      const match = items().find((i) => i.label.toLowerCase() === part.toLowerCase())
+      if (match) onPick(match)
+      else if (allowNew) onPick({ value: part, label: part, isNew: true })
+    }
+    query = ""
+    if (!keepOpen) close()
+    else if (!list.hidden) render()
+  }
+
+  input.addEventListener("focus", () => {
+    query = ""
+    input.select()
+    open()
+  })
+  input.addEventListener("blur", close)
+  input.addEventListener("input", () => {
+    query = input.value
+    if (list.hidden) open()
+    else render()
+  })
+  input.addEventListener("keydown", (e) => {
+    if (e.isComposing) return
+    const next = (step) => {
+      if (list.hidden) open()
+      if (!shown.length) return
+      setActive(active < 0 && step < 0 ? shown.length - 1 : (active + step + shown.length) % shown.length)
+    }
+    if (e.key === "ArrowDown") {
+      e.preventDefault()
+      next(1)
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault()
+      next(-1)
+    } else if (e.key === "Enter" || (commitOnComma && e.key === ",")) {
+      if (list.hidden && e.key === "Enter") return
+      e.preventDefault()
+      e.stopPropagation()
+      if (commitOnComma && query.includes(",")) pickTyped(query)
+      else if (!pick(active) && commitOnComma && query.trim()) pickTyped(query)
+    } else if (e.key === "Escape") {
+      if (list.hidden) return
+      e.preventDefault()
+      e.stopPropagation()
+      close()
+    } else if (e.key === "Backspace" && !input.value && onBackspace) {
+      onBackspace()
+      if (!list.hidden) render()
+    }
+  })
+
+  return { open, close }
+}
@@ -0,0 +1,262 @@
+// Natural-language dates for the popup's "when" field. Loaded as a plain script
+// before popup.js; defines parseWhen, formatOmniFocusDate and describeWhen.
+//
+//   parseWhen("defer to mon, due thu 3pm", { weekStart: 1, workdayEnd: "17:00" })
+//     → { due: { date, hasTime: true }, defer: { date, hasTime: false }, error: null }
+//
+// A phrase without a keyword is the due date. Due dates without a time get the
+// work-day end; defer dates without one are left to OmniFocus's default.
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+const LAST_WORKDAY = 5 // Friday
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+}
+const TIME_OF_DAY = {
+  morning: [9, 0],
+  noon: [12, 0],
+  midday: [12, 0],
+  afternoon: [14, 0],
+  evening: [18, 0],
+  tonight: [19, 0],
+}
+
+const WEEKDAY_RE =
+  "(monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)"
+const MONTH_RE =
+  "(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)"
+const OFFSET_RE = new RegExp(
+  `\\b(?:in )?(\\d+|${Object.keys(NUMBER_WORDS).join("|")}) (minute|min|hour|hr|day|week|wk|month|year)s?` +
+    "(?: from now| later)?\\b",
+)
+// Keywords that start a clause: group 1 → defer date, group 2 → due date.
+const CLAUSE_RE =
+  /\b(?:(defer(?:red)?|start(?:s|ing)?)(?:\s+(?:to|until|till|on))?|(due|deadline|by)(?:\s+(?:on|by|at))?)\b/g
+const FILLER_RE = /\b(on|at|the|of|this|in|and|then)\b/g
+
+function addDays(d, n) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n)
+}
+
+// Clamps the day so Jan 31 + 1 month is Feb 28/29, not Mar 3.
+function addMonths(d, n) {
+  const first = new Date(d.getFullYear(), d.getMonth() + n, 1)
+  const last = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate()
+  return new Date(first.getFullYear(), first.getMonth(), Math.min(d.getDate(), last))
+}
+
+function startOfNextWeek(today, weekStart) {
+  return addDays(today, (weekStart - today.getDay() + 7) % 7 || 7)
+}
+
+function calendarDate(y, m, d) {
+  const date = new Date(y, m, d)
+  return date.getMonth() === m && date.getDate() === d ? date : null
+}
+
+// Month/day without a year: the next time that date comes round.
+function upcomingDate(today, m, d, year) {
+  if (year != null) return calendarDate(year < 100 ? 2000 + year : year, m, d)
+  const date = calendarDate(today.getFullYear(), m, d)
+  if (date && date < today) return calendarDate(today.getFullYear() + 1, m, d)
+  return date
+}
+
+function parseClock(h, m, meridiem) {
+  h = Number(h)
+  m = Number(m || 0)
+  if (meridiem) {
+    if (h < 1 || h > 12) return null
+    if (meridiem.startsWith("p") && h !== 12) h += 12
+    if (meridiem.startsWith("a") && h === 12) h = 0
+  }
+  return h < 24 && m < 60 ? [h, m] : null
+}
+
+// One date expression ("next fri 5pm", "in 3 days") → { date, hasTime } or null.
+// Throws when part of the phrase isn't understood. A bare weekday falls after
+// `anchor` when given (the defer date, for "defer to mon, due thu").
+function parseMoment(phrase, now, { weekStart, workdayEnd, anchor }) {
+  let s = ` ${phrase.toLowerCase().replace(/\.(?=\s|$)/g, " ")} `.replace(/\s+/g, " ")
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  let date = null
+  let time = null
+  let exact = null // "in 2 hours": a full timestamp
+
+  const take = (re) => {
+    const m = s.match(re)
+    if (m) s = s.replace(m[0], " ")
+    return m
+  }
+  const setDate = (d) => {
+    if (!d) throw new Error(`"${phrase.trim()}" is not a valid date`)
+    date = date || d
+  }
+
+  let m
+  if ((m = take(OFFSET_RE))) {
+    const n = NUMBER_WORDS[m[1]] || Number(m[1])
+    const unit = m[2]
+    if (unit === "minute" || unit === "min") exact = new Date(now.getTime() + n * 60000)
+    else if (unit === "hour" || unit === "hr") exact = new Date(now.getTime() + n * 3600000)
+    else if (unit === "day") setDate(addDays(today, n))
+    else if (unit === "week" || unit === "wk") setDate(addDays(today, n * 7))
+    else if (unit === "month") setDate(addMonths(today, n))
+    else setDate(addMonths(today, n * 12))
+  }
+  if ((m = take(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) setDate(calendarDate(+m[1], m[2] - 1, +m[3]))
+  if ((m = take(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/))) {
+    setDate(upcomingDate(today, m[1] - 1, +m[2], m[3] && +m[3]))
+  }
+  if ((m = take(new RegExp(`\\b${MONTH_RE} (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?\\b`)))) {
+    setDate(upcomingDate(today, MONTHS.indexOf(m[1].slice(0, 3)), +m[2], m[3] && +m[3]))
+  }
+  if ((m = take(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH_RE}(?: (\\d{4}))?\\b`)))) {
+    setDate(upcomingDate(today, MONTHS.indexOf(m[2].slice(0, 3)), +m[1], m[3] && +m[3]))
+  }
+  if ((m = take(/\bthe (\d{1,2})(?:st|nd|rd|th)\b/))) {
+    const day = +m[1]
+    let d = calendarDate(today.getFullYear(), today.getMonth(), day)
+    if (!d || d < today) d = calendarDate(today.getFullYear(), today.getMonth() + 1, day)
+    setDate(d)
+  }
+
+  if (take(/\bday after tomorrow\b/)) setDate(addDays(today, 2))
+  if (take(/\b(tomorrow|tmrw|tmr)\b/)) setDate(addDays(today, 1))
+  if (take(/\btoday\b/)) setDate(today)
+  if (take(/\b(end of (?:the )?day|eod)\b/)) {
+    setDate(today)
+    time = time || workdayEnd
+  }
+  if ((m = take(/\b(?:end of (?:the )?(this |next )?week|eow)\b/))) {
+    const friday = addDays(today, (LAST_WORKDAY - today.getDay() + 7) % 7)
+    setDate(m[1] === "next " ? addDays(friday, 7) : friday)
+  }
+  if ((m = take(/\b(?:end of (?:the )?(this |next )?month|eom)\b/))) {
+    setDate(new Date(today.getFullYear(), today.getMonth() + (m[1] === "next " ? 2 : 1), 0))
+  }
+  if ((m = take(/\b(?:end of (?:the )?(this |next )?year|eoy)\b/))) {
+    setDate(new Date(today.getFullYear() + (m[1] === "next " ? 1 : 0), 11, 31))
+  }
+  if ((m = take(/\b(this |next )?weekend\b/))) {
+    const day = today.getDay()
+    const saturday = day === 6 || day === 0 ? today : addDays(today, 6 - day)
+    setDate(m[1] === "next " ? addDays(saturday, 7) : saturday)
+  }
+  if ((m = take(/\bnext (week|month|year)\b/))) {
+    if (m[1] === "week") setDate(startOfNextWeek(today, weekStart))
+    else if (m[1] === "month") setDate(new Date(today.getFullYear(), today.getMonth() + 1, 1))
+    else setDate(new Date(today.getFullYear() + 1, 0, 1))
+  }
+  if ((m = take(new RegExp(`\\b(?:(next|this|coming) )?${WEEKDAY_RE}\\b`)))) {
+    const target = WEEKDAYS.indexOf(m[2].slice(0, 3))
+    if (m[1] === "next") {
+      // "next fri" is Friday of next week, whose first day is the configured week start.
+      setDate(addDays(startOfNextWeek(today, weekStart), (target - weekStart + 7) % 7))
+    } else if (anchor && !m[1]) {
+      setDate(addDays(anchor, (target - anchor.getDay() + 7) % 7 || 7))
+    } else {
+      const ahead = (target - today.getDay() + 7) % 7
+      setDate(addDays(today, ahead || (m[1] === "this" ? 0 : 7)))
+    }
+  }
+
+  let clock
+  if ((clock = take(/\b(\d{1,2})(?::(\d{2}))? ?(am|pm|a|p)\b/))) time = parseClock(clock[1], clock[2], clock[3])
+  else if ((clock = take(/\b(\d{1,2}):(\d{2})\b/))) time = parseClock(clock[1], clock[2])
+  else if ((clock = take(/\bat (\d{1,2})\b/))) time = parseClock(clock[1] < 8 ? +clock[1] + 12 : clock[1], 0)
+  if (clock && !time) throw new Error(`"${clock[0].trim()}" is not a valid time`)
+  if (!time && (m = take(/\b(morning|noon|midday|afternoon|evening|tonight)\b/))) {
+    time = TIME_OF_DAY[m[1]]
+    if (m[1] === "tonight") setDate(today)
+  }
+
+  const leftover = s.replace(FILLER_RE, " ").trim()
+  if (leftover) throw new Error(`Didn't understand "${leftover}"`)
+  if (exact) return { date: exact, hasTime: true }
+  if (!date && !time) return null
+
+  if (!date) {
+    // Time only: today, or tomorrow once that time has passed.
+    date = today
+    if (time[0] * 60 + time[1] <= now.getHours() * 60 + now.getMinutes()) date = addDays(today, 1)
+  }
+  if (!time) return { date, hasTime: false }
+  return { date: new Date(date.getFullYear(), date.getMonth(), date.getDate(), time[0], time[1]), hasTime: true }
+}
+
+// weekStart: 0 (Sunday) – 6; workdayEnd: "HH:MM", used for due dates without a time.
+function parseWhen(text, { weekStart = 1, workdayEnd = "17:00", now = new Date() } = {}) {
+  const result = { due: null, defer: null, error: null }
+  const input = (text || "").trim()
+  if (!input) return result
+
+  const [endH, endM] = workdayEnd.split(":").map(Number)
+  const opts = { weekStart, workdayEnd: [endH || 0, endM || 0] }
+
+  // Split into clauses at each keyword; text before the first one is the due date.
+  const clauses = []
+  let kind = "due"
+  let from = 0
+  for (const m of input.toLowerCase().matchAll(CLAUSE_RE)) {
+    clauses.push({ kind, text: input.slice(from, m.index) })
+    kind = m[1] ? "defer" : "due"
+    from = m.index + m[0].length
+  }
+  clauses.push({ kind, text: input.slice(from) })
+
+  try {
+    // Defer first, so a due weekday can be read relative to it.
+    clauses.sort((a, b) => (a.kind === b.kind ? 0 : a.kind === "defer" ? -1 : 1))
+    for (const clause of clauses) {
+      const phrase = clause.text.replace(/^[\s,;]+|[\s,;]+$/g, "").replace(/\s+and$/i, "")
+      if (!phrase) continue
+      if (result[clause.kind]) throw new Error(`More than one ${clause.kind} date`)
+      const anchor = clause.kind === "due" && result.defer ? result.defer.date : null
+      const when = parseMoment(phrase, now, { ...opts, anchor })
+      if (!when) throw new Error(`Didn't understand "${phrase}"`)
+      if (clause.kind === "due" && !when.hasTime) {
+        when.date.setHours(opts.workdayEnd[0], opts.workdayEnd[1])
+        when.hasTime = true
+      }
+      result[clause.kind] = when
+    }
+    if (result.due && result.defer && result.defer.date > result.due.date) {
+      throw new Error("Defer date is after the due date")
+    }
+  } catch (err) {
+    return { due: null, defer: null, error: err.message }
+  }
+  return result
+}
+
+const pad2 = (n) => String(n).padStart(2, "0")
+
+// "YYYY-MM-DD" or "YYYY-MM-DD HH:MM" in local time — what the add URL's due/defer expect.
+function formatOmniFocusDate(when) {
+  if (!when) return null
+  const d = when.date
+  const day = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`
+  return when.hasTime ? `${day} ${pad2(d.getHours())}:${pad2(d.getMinutes())}` : day
+}
+
+// Short label for the preview: "Fri, Oct 23 17:00".
+function describeWhen(when) {
+  const d = when.date
+  const opts = { weekday: "short", month: "short", day: "numeric" }
+  if (d.getFullYear() !== new Date().getFullYear()) opts.year = "numeric"
+  const day = d.toLocaleDateString(undefined, opts)
+  return when.hasTime ? `${day} ${pad2(d.getHours())}:${pad2(d.getMinutes())}` : day
+}
@@ -0,0 +1,129 @@
+// Due / defer suggestions from the page. Loaded via importScripts by
+// background.js, after dates.js (parseMoment, MONTH_RE).
+//
+// Two sources, structured first:
+//   - schema.org dates extract.js found (meta.dates): event start, ticket sale
+//     window, offer end, invoice payment due
+//   - deadline phrases in the text: "Submission deadline: March 3, 2027",
+//     "RSVP by Friday, Oct 30 at 5pm", "Registration opens 2027-01-10"
+// Only dates from today on count, and a past one isn't moved to next year. The
+// popup shows them as chips in the "when" row; a due date within Settings →
+// "flag within" days also suggests a flag.
+
+const MAX_DATE_SUGGESTIONS = 4
+const MAX_DATE_SCAN_LEN = 20000
+const MAX_DATE_AHEAD_DAYS = 2 * 365
+const DATE_DAY_MS = 24 * 60 * 60 * 1000
+// How far a date may sit after its cue: "deadline for papers is" fits.
+const DATE_CUE_GAP = 40
+// A date without a year that has already passed this year is next year's only
+// this close ahead ("Jan 10" read in December); otherwise the page is stale and
+// the deadline is gone.
+const YEARLESS_AHEAD_DAYS = 90
+// Whether a matched date names its year: a 4-digit one, or the third part of an
+// m/d/y date ("3/15/27").
+const DATE_YEAR_RE = /\d{4}|\d\/\d{1,2}\/\d/
+
+// [cue, label, kind]. Checked in order, so the first label wins for a date.
+const DATE_CUES = [
+  ["payment due|pay by|amount due by", "Payment due", "due"],
+  ["rsvp(?: by)?|please respond by|respond by|reply by", "RSVP by", "due"],
+  ["registration (?:closes|ends|deadline)|register by|sign up by", "Registration closes", "due"],
+  ["submissions? (?:close|due|deadline)|submit by|paper deadline|abstract deadline", "Submission deadline", "due"],
+  ["applications? (?:close|due)|apply by", "Applications close", "due"],
+  ["deadline", "Deadline", "due"],
+  ["due(?! to\\b)(?: date| on| by)?", "Due", "due"],
+  ["expires?(?: on)?|valid (?:until|through|thru)|offer ends|ends on|last day", "Ends", "due"],
+  ["registration opens", "Registration opens", "defer"],
+  ["tickets on sale|on sale(?: from)?|available from", "On sale", "defer"],
+  ["opens on|starts on|begins on", "Opens", "defer"],
+  ["event date|date of the event|takes place on|will be held on", "Event", "due"],
+]
+
+const MONTH_NC_RE = MONTH_RE.replace("(", "(?:")
+const DATE_EXPR_RE =
+  "(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\\.?,? )?" +
+  `(\\d{4}-\\d{1,2}-\\d{1,2}|${MONTH_NC_RE}\\.? \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?|` +
+  `\\d{1,2}(?:st|nd|rd|th)? (?:of )?${MONTH_NC_RE}\\.?,?(?: \\d{4})?|\\d{1,2}/\\d{1,2}/\\d{2,4})` +
+  "(?:,? (?:at |by |until )?(\\d{1,2}(?::\\d{2})? ?(?:am|pm|a\\.m\\.|p\\.m\\.)|\\d{1,2}:\\d{2}))?"
+
+// Each cue followed, within DATE_CUE_GAP characters of the same sentence, by a date.
+const DATE_CUE_RES = DATE_CUES.map(([cue, label, kind]) => ({
+  re: new RegExp(`\\b(?:${cue})\\b[^.!?\\n]{0,${DATE_CUE_GAP}}?\\b${DATE_EXPR_RE}`, "gi"),
+  label,
+  kind,
+}))
+
+// A date and time as the page wrote them → the words parseMoment reads.
+function datePhrase(date, time = "") {
+  const d = date.toLowerCase().replace(/,/g, "").replace(/\./g, "").replace(/\s+/g, " ")
+  const t = time.toLowerCase().replace(/\./g, "").replace(/\s+/g, "")
+  return t ? `${d} ${t}` : d
+}
+
+// Schema.org date (ISO 8601) → { date, hasTime }, or null. Date-only values are
+// read as local days, not UTC midnights.
+function isoMoment(value) {
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (day) return { date: new Date(+day[1], day[2] - 1, +day[3]), hasTime: false }
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : { date, hasTime: /T\d/.test(value) }
+}
+
+// Text + extract.js's meta.dates → { dates: [{ kind, label, date, hasTime }], flag }
+// with `date` in ms, earliest first within each source; `flag` is { label } when
+// a due date is within `flagWithinDays` (0 = never).
+function dateSuggestions({
+  text = "",
+  structured = [],
+  weekStart = 1,
+  workdayEnd = "17:00",
+  flagWithinDays = 0,
+  now = new Date(),
+}) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  const latest = today.getTime() + MAX_DATE_AHEAD_DAYS * DATE_DAY_MS
+  const [endH, endM] = workdayEnd.split(":").map(Number)
+  const opts = { weekStart, workdayEnd: [endH || 0, endM || 0], anchor: null }
+  const found = []
+  const add = (source, kind, label, when) => {
+    if (!when || when.date < today || when.date.getTime() > latest) return
+    found.push({ source, kind, label, date: when.date.getTime(), hasTime: when.hasTime })
+  }
+
+  for (const d of structured) add(0, d.kind === "defer" ? "defer" : "due", d.label, isoMoment(d.date))
+  const body = text.slice(0, MAX_DATE_SCAN_LEN).replace(/\s+/g, " ")
+  for (const { re, label, kind } of DATE_CUE_RES) {
+    for (const m of body.matchAll(re)) {
+      let when = null
+      try {
+        when = parseMoment(datePhrase(m[1], m[2]), now, opts)
+      } catch {}
+      const rolledOver = when && !DATE_YEAR_RE.test(m[1]) && when.date.getFullYear() > today.getFullYear()
+      if (rolledOver && when.date.getTime() > today.getTime() + YEARLESS_AHEAD_DAYS * DATE_DAY_MS) continue
+      add(1, kind, label, when)
+    }
+  }
+
+  // One suggestion per kind and day; the structured one, or the first cue, wins.
+  const seen = new Set()
+  const dates = found
+    .sort((a, b) => a.source - b.source || a.date - b.date)
+    .filter((s) => {
+      const key = `${s.kind}:${new Date(s.date).toDateString()}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .slice(0, MAX_DATE_SUGGESTIONS)
+    .map(({ source, ...s }) => s)
+
+  const dues = dates.filter((s) => s.kind === "due").map((s) => s.date)
+  const soonest = dues.length ? Math.min(...dues) : null
+  const days = soonest != null ? Math.round((new Date(soonest).setHours(0, 0, 0, 0) - today) / DATE_DAY_MS) : null
+  const flag =
+    flagWithinDays > 0 && days != null && days <= flagWithinDays
+      ? { label: days === 0 ? "due today" : days === 1 ? "due tomorrow" : `due in ${days} days` }
+      : null
+  return { dates, flag }
+}
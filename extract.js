@@ -0,0 +1,395 @@
+// Main-content extractor. Injected by background's getPageContent via
+// chrome.scripting.executeScript({ files }) — the value of the file's last
+// expression is the result, so everything lives in one IIFE that returns
+// { text, meta, selection, site }. Read-only: the live DOM is scored and walked, never
+// mutated.
+//
+// Roughly Readability's approach: score paragraph-like blocks into their
+// ancestors, discount by link density, pick the best container plus strong
+// siblings, then serialize it while skipping boilerplate (by role/tag, class
+// names, link density and text density). Headings keep their hierarchy as
+// markdown-style "#" prefixes, normalized so the top level is "#".
+;(() => {
+  const WORDS_PER_MINUTE = 230
+  const MIN_CANDIDATE_LEN = 25
+  const MIN_CONTENT_LEN = 250
+  const MAX_STRUCTURED_DATES = 10
+
+  const NEGATIVE_RE =
+    /(^|[\s_-])(comment|comments|meta|footer|footnote|nav|navbar|menu|sidebar|side|share|sharing|social|related|recommended|promo|advert|ads?|banner|cookie|consent|gdpr|newsletter|subscribe|signup|popup|modal|breadcrumbs?|pagination|pager|widget|sponsored?|masthead|outbrain|taboola|disqus|toolbar|skip)([\s_-]|$)/i
+  const POSITIVE_RE =
+    /(^|[\s_-])(article|body|content|entry|main|page|post|text|blog|story|prose|markdown|docs?|hentry)([\s_-]|$)/i
+  const STRIP_SELECTOR = [
+    "script",
+    "style",
+    "noscript",
+    "template",
+    "iframe",
+    "svg",
+    "canvas",
+    "button",
+    "select",
+    "textarea",
+    "input",
+    "nav",
+    "aside",
+    "footer",
+    "dialog",
+    "body > header",
+    "[role=navigation]",
+    "[role=banner]",
+    "[role=contentinfo]",
+    "[role=complementary]",
+    "[role=dialog]",
+    "[aria-modal=true]",
+    "[aria-hidden=true]",
+    "[hidden]",
+  ].join(",")
+  const BLOCK_TAGS = new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "ASIDE",
+    "BLOCKQUOTE",
+    "DD",
+    "DIV",
+    "DL",
+    "DT",
+    "FIGURE",
+    "FOOTER",
+    "FORM",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "HEADER",
+    "HR",
+    "LI",
+    "MAIN",
+    "NAV",
+    "OL",
+    "P",
+    "PRE",
+    "SECTION",
+    "TABLE",
+    "UL",
+  ])
+
+  const clean = (s) =>
+    (s || "")
+      .replace(/[ \t\u00a0]+/g, " ")
+      .replace(/\s*\n\s*/g, "\n")
+      .trim()
+
+  function classWeight(el) {
+    let weight = 0
+    for (const s of [el.className, el.id]) {
+      if (typeof s !== "string" || !s) continue // SVG className is an object
+      if (NEGATIVE_RE.test(s)) weight -= 25
+      if (POSITIVE_RE.test(s)) weight += 25
+    }
+    return weight
+  }
+
+  function linkDensity(el, text = el.textContent) {
+    const len = text.trim().length
+    if (!len) return 0
+    let linkLen = 0
+    for (const a of el.querySelectorAll("a")) linkLen += a.textContent.trim().length
+    return Math.min(1, linkLen / len)
+  }
+
+  function hasBlockChildren(el) {
+    for (const child of el.children) if (BLOCK_TAGS.has(child.tagName)) return true
+    return false
+  }
+
+  function baseScore(el) {
+    let score = classWeight(el)
+    const tag = el.tagName
+    if (tag === "ARTICLE" || tag === "MAIN") score += 10
+    else if (tag === "DIV" || tag === "SECTION") score += 5
+    else if (tag === "PRE" || tag === "TD" || tag === "BLOCKQUOTE") score += 3
+    else if (/^(ADDRESS|OL|UL|DL|DD|DT|LI|FORM)$/.test(tag)) score -= 3
+    else if (/^(H[1-6]|TH)$/.test(tag)) score -= 5
+    return score
+  }
+
+  function isBoilerplate(el) {
+    if (el.matches(STRIP_SELECTOR)) return true
+    if (el.checkVisibility && !el.checkVisibility()) return true
+    // Real paragraphs and headings are content unless a container says otherwise.
+    if (/^(P|PRE|BLOCKQUOTE|H[1-6])$/.test(el.tagName)) return false
+    const text = el.textContent.trim()
+    if (!text) return !el.querySelector("img, picture, video")
+    const weight = classWeight(el)
+    const density = linkDensity(el, text)
+    if (weight < 0 && (text.length < 2000 || density > 0.2)) return true
+    if (density > 0.5) return true
+    if (density > 0.25 && text.length < 300) return true
+    // Text density: a lot of markup for very little text is UI chrome.
+    const tagCount = el.getElementsByTagName("*").length
+    if (text.length < 500 && text.length / (1 + tagCount) < 10) return true
+    return false
+  }
+
+  // Score paragraph-like blocks into parent (full), grandparent (½) and
+  // great-grandparent (⅙), then discount each candidate by its link density.
+  function findContentRoots(body) {
+    const scores = new Map()
+    for (const el of body.querySelectorAll("p, pre, blockquote, td, div, section")) {
+      if ((el.tagName === "DIV" || el.tagName === "SECTION") && hasBlockChildren(el)) continue
+      if (el.closest(STRIP_SELECTOR)) continue
+      const text = el.textContent.trim()
+      if (text.length < MIN_CANDIDATE_LEN) continue
+      const points = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3)
+      let ancestor = el.parentElement
+      for (const divider of [1, 2, 6]) {
+        if (!ancestor || ancestor === document.documentElement) break
+        if (!scores.has(ancestor)) scores.set(ancestor, baseScore(ancestor))
+        scores.set(ancestor, scores.get(ancestor) + points / divider)
+        ancestor = ancestor.parentElement
+      }
+    }
+
+    let top = null
+    let topScore = -Infinity
+    for (const [el, score] of scores) {
+      const final = score * (1 - linkDensity(el))
+      scores.set(el, final)
+      if (final > topScore) {
+        top = el
+        topScore = final
+      }
+    }
+    if (!top) return []
+
+    // Siblings that scored well (or are plain, link-poor paragraphs) belong to the
+    // same article — e.g. a lede outside the main body wrapper.
+    const parent = top.parentElement
+    if (!parent) return [top]
+    const threshold = Math.max(10, topScore * 0.2)
+    return Array.from(parent.children).filter((el) => {
+      if (el === top) return true
+      if ((scores.get(el) ?? -Infinity) >= threshold) return true
+      if (el.tagName !== "P") return false
+      const text = el.textContent.trim()
+      return text.length > 80 && linkDensity(el, text) < 0.25
+    })
+  }
+
+  // Loose text sitting next to block children (e.g. "<div>Intro <p>…</p></div>")
+  // means the element has to be taken whole.
+  function hasDirectText(el) {
+    for (const node of el.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 20) return true
+    }
+    return false
+  }
+
+  function collectBlocks(el, out) {
+    if (isBoilerplate(el)) return
+    const tag = el.tagName
+    if (/^H[1-6]$/.test(tag)) {
+      const text = clean(el.innerText).replace(/\n/g, " ")
+      if (text) out.push({ level: Number(tag[1]), text })
+      return
+    }
+    const leaf = tag === "PRE" || tag === "TABLE" || !hasBlockChildren(el) || hasDirectText(el)
+    if (!leaf) {
+      for (const child of el.children) collectBlocks(child, out)
+      return
+    }
+    const text = tag === "PRE" ? el.innerText.trim() : clean(el.innerText)
+    if (text) out.push(tag === "LI" ? { text: `- ${text}`, item: true } : { text })
+  }
+
+  // Blank line between blocks; consecutive list items stay on adjacent lines.
+  function serialize(blocks) {
+    const levels = blocks.filter((b) => b.level).map((b) => b.level)
+    const shift = levels.length ? Math.min(...levels) - 1 : 0
+    let out = ""
+    blocks.forEach((b, i) => {
+      if (i) out += b.item && blocks[i - 1].item ? "\n" : "\n\n"
+      out += b.level ? `${"#".repeat(b.level - shift)} ${b.text}` : b.text
+    })
+    return out
+  }
+
+  // ── metadata ──
+  function metaContent(...selectors) {
+    for (const sel of selectors) {
+      const v = document.querySelector(sel)?.getAttribute("content")
+      if (v && v.trim()) return v.trim()
+    }
+    return ""
+  }
+
+  function jsonLdItems() {
+    const items = []
+    const visit = (node) => {
+      if (Array.isArray(node)) node.forEach(visit)
+      else if (node && typeof node === "object") {
+        items.push(node)
+        if (node["@graph"]) visit(node["@graph"])
+      }
+    }
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        visit(JSON.parse(script.textContent))
+      } catch {}
+    }
+    return items
+  }
+
+  // JSON-LD author/publisher: a string, a Person/Organization, or a list of them.
+  function personName(v) {
+    if (Array.isArray(v)) return v.map(personName).filter(Boolean).join(", ")
+    if (typeof v === "string") return v
+    return typeof v?.name === "string" ? v.name : ""
+  }
+
+  // schema.org dates for the popup's due/defer suggestions, from JSON-LD and
+  // microdata: events, their ticket offers, product offers and invoices.
+  // → [{ label, date (ISO 8601 as the page gives it), kind: "due" | "defer" }]
+  function structuredDates(ld) {
+    const dates = []
+    const add = (label, date, kind = "due") => {
+      if (typeof date === "string" && date.trim()) dates.push({ label, date: date.trim(), kind })
+    }
+    const types = (i) => [].concat(i["@type"] || []).map(String)
+    const offers = (i) => [].concat(i.offers || []).filter((o) => o && typeof o === "object")
+    for (const item of ld) {
+      const type = types(item)
+      if (type.some((t) => t.endsWith("Event"))) {
+        add(typeof item.name === "string" ? `${clean(item.name).slice(0, 60)} starts` : "Event starts", item.startDate)
+        for (const o of offers(item)) {
+          add("Registration closes", o.validThrough)
+          add("Tickets on sale", o.validFrom || o.availabilityStarts, "defer")
+        }
+      } else if (type.includes("Offer") || type.includes("Product")) {
+        for (const o of type.includes("Offer") ? [item] : offers(item)) {
+          add("Offer ends", o.validThrough || o.priceValidUntil)
+          add("Available from", o.availabilityStarts, "defer")
+        }
+      } else if (type.includes("Invoice")) {
+        add("Payment due", item.paymentDueDate)
+      }
+    }
+    const microdata = { startDate: "Event starts", paymentDueDate: "Payment due", validThrough: "Offer ends" }
+    for (const [prop, label] of Object.entries(microdata)) {
+      for (const el of document.querySelectorAll(`[itemprop="${prop}"]`)) {
+        add(label, el.getAttribute("content") || el.getAttribute("datetime") || "")
+      }
+    }
+    return dates.slice(0, MAX_STRUCTURED_DATES)
+  }
+
+  function extractMeta(roots) {
+    const ld = jsonLdItems()
+    const ldValue = (pick) => ld.map(pick).find(Boolean) || ""
+    const inRoots = (sel) => roots.map((r) => r.querySelector(sel)).find(Boolean)
+
+    const byline =
+      metaContent('meta[name="author"]', 'meta[property="article:author"]') ||
+      ldValue((i) => personName(i.author)) ||
+      clean(document.querySelector('[rel="author"], [itemprop="author"], .byline, .author')?.textContent)
+    const published =
+      metaContent(
+        'meta[property="article:published_time"]',
+        'meta[itemprop="datePublished"]',
+        'meta[name="date"]',
+        'meta[name="publish-date"]',
+        'meta[name="dc.date"]',
+      ) ||
+      ldValue((i) => i.datePublished) ||
+      (inRoots("time[datetime]") || document.querySelector("time[datetime]"))?.getAttribute("datetime") ||
+      ""
+    const siteName =
+      metaContent('meta[property="og:site_name"]', 'meta[name="application-name"]') ||
+      ldValue((i) => personName(i.publisher)) ||
+      location.hostname.replace(/^www\./, "")
+    const language = document.documentElement.lang || metaContent('meta[http-equiv="content-language" i]') || ""
+
+    return { byline: byline.slice(0, 200), published, siteName, language, dates: structuredDates(ld) }
+  }
+
+  // ── selection ──
+  // What the user highlighted: the document selection, a selection inside a
+  // focused text field, or one inside a same-origin iframe (cross-origin frames
+  // throw on access and are skipped).
+  function selectionIn(win) {
+    try {
+      const active = win.document.activeElement
+      if (active && /^(TEXTAREA|INPUT)$/.test(active.tagName) && active.selectionEnd > active.selectionStart) {
+        return active.value.slice(active.selectionStart, active.selectionEnd)
+      }
+      const sel = win.getSelection()
+      return sel && !sel.isCollapsed ? sel.toString() : ""
+    } catch {
+      return ""
+    }
+  }
+
+  function getSelectionText() {
+    const own = selectionIn(window).trim()
+    if (own) return own
+    for (const frame of document.querySelectorAll("iframe, frame")) {
+      const text = frame.contentWindow ? selectionIn(frame.contentWindow).trim() : ""
+      if (text) return text
+    }
+    return ""
+  }
+
+  // ── site extractors ──
+  // Registered by sites.js (injected first). The first matching extractor wins;
+  // one that throws on unexpected markup is skipped and the generic path stays.
+  function siteInfo() {
+    for (const extractor of globalThis.__siteExtractors || []) {
+      try {
+        if (!extractor.test(location)) continue
+        const info = extractor.extract()
+        if (info) return { name: extractor.name, ...info }
+      } catch {
+        // fall through to the next extractor
+      }
+    }
+    return null
+  }
+
+  // ── run ──
+  const body = document.body
+  const selection = getSelectionText()
+  const site = siteInfo()
+  if (!body) return { text: site?.text || "", meta: {}, selection, site }
+
+  let roots = findContentRoots(body)
+  const blocks = []
+  for (const root of roots) collectBlocks(root, blocks)
+  let text = serialize(blocks)
+
+  // Too little survived (app shells, unusual markup): fall back to the old
+  // article → main → body innerText so summaries still have something to work on.
+  if (text.length < MIN_CONTENT_LEN) {
+    const fallback = document.querySelector("article") || document.querySelector("main") || body
+    roots = [fallback]
+    text = fallback.innerText.trim()
+  }
+  // A site extractor knows which part of the page matters (abstract, question
+  // and answer, issue body); summarize that instead.
+  if (site?.text) text = site.text
+
+  const wordCount = text.split(/\s+/).filter(Boolean).length
+  return {
+    text,
+    selection,
+    site,
+    meta: {
+      ...extractMeta(roots),
+      title: metaContent('meta[property="og:title"]') || document.title || "",
+      wordCount,
+      readingTime: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)),
+    },
+  }
+})()
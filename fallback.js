@@ -0,0 +1,286 @@
+// Deterministic stand-ins for the on-device model, for browsers without
+// LanguageModel / Summarizer. Loaded via importScripts by background.js and as
+// a plain script by options.html (for the keyword list check); depends on
+// nothing else.
+//
+//   keywordSuggestion — scores each project and tag against the page's title,
+//     host and text: words of its name plus the user's keyword list
+//     (Settings → "Keywords"), TF-IDF weighted so a word shared by many
+//     projects says little. Same { project, tags, scores } shape as the
+//     classifier, and just as reluctant: weak or close calls suggest nothing.
+//   extractiveSummary — the page's top-ranked sentences, in page order.
+//   cleanTitle — the page title without site names and "Home |" clutter, with a
+//     verb by content type ("Read: …", "Watch: …") when the title style asks.
+
+const FALLBACK_TITLE_WEIGHT = 3
+const FALLBACK_KEYWORD_WEIGHT = 2
+// Scores are in units of one body mention of a word only that candidate has,
+// so the thresholds mean the same for 5 candidates as for 500. A word unique to
+// the candidate in the title or host scores ~2.1; the same word twice in the
+// text ~1.7; once, 1.
+const FALLBACK_PROJECT_MIN_SCORE = 1.75
+const FALLBACK_PROJECT_MARGIN = 1.5
+const FALLBACK_TAG_MIN_SCORE = 1.5
+const FALLBACK_MAX_TAGS = 3
+const SUMMARY_SENTENCES = { short: 1, medium: 3, long: 5 }
+const KEY_POINTS = { short: 3, medium: 5, long: 7 }
+const MIN_SENTENCE_WORDS = 6
+const MAX_SENTENCE_WORDS = 60
+
+// Settings → "Task titles" (titleStyle in sync). mode: "off" | "rules" | "ai";
+// "ai" falls back to the rules when the Prompt API can't run.
+const TITLE_STYLE_DEFAULTS = { mode: "off", verbFirst: true, typePrefix: true, maxLength: 80 }
+const TITLE_SEPARATOR_RE = /\s+(?:[|–—·»~]|::|-{1,2})\s+/
+const TITLE_CLUTTER = new Set(["home", "homepage", "blog", "news", "article", "post", "welcome", "index"])
+
+const FALLBACK_STOPWORDS = new Set(
+  (
+    "a an the and or but if then else of to in on at by for with from into onto over under about after before " +
+    "is are was were be been being am do does did has have had having it its this that these those there here " +
+    "i you he she we they me him her us them my your his our their what which who whom whose when where why how " +
+    "not no nor so than too very can could will would shall should may might must just also only as such " +
+    "all any both each few more most other some own same up down out off again further once www com org net " +
+    "html http https page home"
+  ).split(" "),
+)
+
+function fallbackHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "")
+  } catch {
+    return ""
+  }
+}
+
+function fallbackStem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1)
+  return word
+}
+
+function fallbackTokens(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .filter((w) => w.length > 1 && !FALLBACK_STOPWORDS.has(w) && !/^\d+$/.test(w))
+    .map(fallbackStem)
+}
+
+// Settings lines "Project: word, a phrase" / "@tag: word" → Map name → [terms].
+// Lines starting with # are ignored.
+function parseKeywordLists(lines) {
+  const lists = new Map()
+  for (const line of lines || []) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith("#")) continue
+    const i = trimmed.lastIndexOf(":")
+    if (i <= 0) continue
+    const name = trimmed.slice(0, i).trim()
+    const terms = trimmed
+      .slice(i + 1)
+      .split(",")
+      .map((t) => t.trim().toLowerCase())
+      .filter(Boolean)
+    if (terms.length) lists.set(name, [...(lists.get(name) || []), ...terms])
+  }
+  return lists
+}
+
+// A keyword line that won't do anything, for the options page; "" if fine.
+function keywordListProblem(line, { projects = [], tags = [] }) {
+  const trimmed = line.trim()
+  if (!trimmed || trimmed.startsWith("#")) return ""
+  const i = trimmed.lastIndexOf(":")
+  if (i <= 0) return `"${trimmed}" needs a name, a colon and keywords`
+  const name = trimmed.slice(0, i).trim()
+  if (name.startsWith("@") ? !tags.includes(name.slice(1)) : !projects.includes(name)) {
+    return `"${name}" isn't one of your ${name.startsWith("@") ? "tags" : "projects"}`
+  }
+  return ""
+}
+
+// Weighted term counts for the page; `phrases` (multi-word keywords) are
+// counted as substrings.
+function pageTermCounts({ title, url, text }, phrases) {
+  const counts = new Map()
+  const add = (term, n) => counts.set(term, (counts.get(term) || 0) + n)
+  const host = fallbackHost(url)
+  for (const t of fallbackTokens(title)) add(t, FALLBACK_TITLE_WEIGHT)
+  for (const t of fallbackTokens(host.replace(/\./g, " "))) add(t, FALLBACK_TITLE_WEIGHT)
+  for (const t of fallbackTokens(text)) add(t, 1)
+  const lowerTitle = (title || "").toLowerCase()
+  const lowerText = (text || "").toLowerCase()
+  for (const phrase of phrases) {
+    const n = lowerTitle.split(phrase).length - 1
+    const m = lowerText.split(phrase).length - 1
+    if (n || m) add(phrase, n * FALLBACK_TITLE_WEIGHT + m)
+  }
+  return counts
+}
+
+// → { project, tags, scores } in the classifier's shape. `keywords` is the raw
+// Settings line list; `text` is the (already truncated) page text. Confidence
+// is the score against the project threshold: 50% right at it.
+function keywordSuggestion({ title, url, text, projects = [], tags = [], keywords = [] }) {
+  const lists = parseKeywordLists(keywords)
+  const candidates = [
+    ...projects.map((name) => ({ kind: "project", name, extra: lists.get(name) || [] })),
+    ...tags.map((name) => ({ kind: "tag", name, extra: lists.get(`@${name}`) || [] })),
+  ].map((c) => {
+    const nameTerms = new Set(fallbackTokens(c.name))
+    const terms = new Map([...nameTerms].map((t) => [t, 1]))
+    for (const k of c.extra) {
+      for (const t of k.includes(" ") ? [k] : fallbackTokens(k)) terms.set(t, FALLBACK_KEYWORD_WEIGHT)
+    }
+    return { ...c, nameTerms, terms }
+  })
+  if (!candidates.length) return { project: "", tags: [], scores: { project: null, tags: {} } }
+
+  // Document frequency across candidates: a word in many names is a weak signal.
+  // `unit` is the weight of a word only one candidate has.
+  const unit = Math.log(1 + candidates.length)
+  const df = new Map()
+  for (const c of candidates) for (const t of c.terms.keys()) df.set(t, (df.get(t) || 0) + 1)
+  const phrases = [...df.keys()].filter((t) => t.includes(" "))
+  const counts = pageTermCounts({ title, url, text }, phrases)
+
+  for (const c of candidates) {
+    let score = 0
+    let nameHits = 0
+    c.hits = []
+    for (const [t, weight] of c.terms) {
+      const tf = counts.get(t)
+      if (!tf) continue
+      if (c.nameTerms.has(t)) nameHits++
+      const gain = (weight * Math.log(1 + candidates.length / df.get(t)) * (1 + Math.log(tf))) / unit
+      c.hits.push({ t, gain })
+      score += gain
+    }
+    // Only part of a multi-word name on the page counts for less.
+    const coverage = c.nameTerms.size ? nameHits / c.nameTerms.size : 1
+    c.score = c.extra.length ? score : score * (0.5 + 0.5 * coverage)
+  }
+
+  const ranked = (kind) => candidates.filter((c) => c.kind === kind && c.score > 0).sort((a, b) => b.score - a.score)
+  const [best, runnerUp] = ranked("project")
+  const clear = best && (!runnerUp || best.score >= runnerUp.score * FALLBACK_PROJECT_MARGIN)
+  const project = clear && best.score >= FALLBACK_PROJECT_MIN_SCORE ? best.name : ""
+  const pickedTags = ranked("tag")
+    .filter((c) => c.score >= FALLBACK_TAG_MIN_SCORE)
+    .slice(0, FALLBACK_MAX_TAGS)
+  return {
+    project,
+    tags: pickedTags.map((c) => c.name),
+    scores: {
+      project: project ? keywordScore(best) : null,
+      tags: Object.fromEntries(pickedTags.map((c) => [c.name, keywordScore(c)])),
+    },
+  }
+}
+
+function keywordScore(candidate) {
+  const words = candidate.hits
+    .sort((a, b) => b.gain - a.gain)
+    .slice(0, 3)
+    .map((h) => `"${h.t}"`)
+  return {
+    confidence: candidate.score / (candidate.score + FALLBACK_PROJECT_MIN_SCORE),
+    reason: `Page mentions ${words.join(", ")}`,
+  }
+}
+
+function splitSentences(text) {
+  return (text || "")
+    .split(/\n+/)
+    .flatMap((para) => para.replace(/\s+/g, " ").trim().match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [])
+    .map((s) => s.trim())
+    .filter((s) => {
+      const words = s.split(" ").length
+      return words >= MIN_SENTENCE_WORDS && words <= MAX_SENTENCE_WORDS && /\p{L}/u.test(s)
+    })
+}
+
+// Sentences scored by how many of the page's frequent words they carry (per
+// word, so long ones don't win by length), with a nudge for the opening ones.
+// `style` is the summary style from Settings: its length sets how many
+// sentences, "key-points" lists them as bullets.
+function extractiveSummary(text, style = {}) {
+  const sentences = splitSentences(text)
+  if (!sentences.length) return ""
+  const keyPoints = style.type === "key-points"
+  const wanted = (keyPoints ? KEY_POINTS : SUMMARY_SENTENCES)[style.length] || (keyPoints ? 3 : 1)
+
+  const freq = new Map()
+  const tokens = sentences.map((s) => fallbackTokens(s))
+  for (const ts of tokens) for (const t of ts) freq.set(t, (freq.get(t) || 0) + 1)
+  const top = Math.max(...freq.values(), 1)
+
+  const scored = sentences.map((s, i) => {
+    const ts = tokens[i]
+    const weight = ts.reduce((sum, t) => sum + freq.get(t) / top, 0) / Math.sqrt(ts.length || 1)
+    return { s, i, score: weight * (i < 3 ? 1.25 : 1), key: ts.join(" ") }
+  })
+  const chosen = []
+  for (const c of scored.sort((a, b) => b.score - a.score)) {
+    if (chosen.some((x) => x.key === c.key)) continue
+    chosen.push(c)
+    if (chosen.length >= wanted) break
+  }
+  const ordered = chosen.sort((a, b) => a.i - b.i).map((c) => c.s)
+  return keyPoints ? ordered.map((s) => `- ${s}`).join("\n") : ordered.join(" ")
+}
+
+// What the page asks of the user, by site extractor, host and path.
+function titleVerb({ url, site }) {
+  const host = fallbackHost(url)
+  const path = (() => {
+    try {
+      return new URL(url).pathname
+    } catch {
+      return ""
+    }
+  })()
+  if (site === "youtube" || /(^|\.)(vimeo\.com|twitch\.tv|youtu\.be)$/.test(host)) return "Watch"
+  if (/(^|\.)(spotify\.com|soundcloud\.com|overcast\.fm|podcasts\.apple\.com)$/.test(host)) return "Listen"
+  if (site === "github" && /\/pull\/\d+/.test(path)) return "Review"
+  if (site === "github" && /\/issues\/\d+/.test(path)) return "Reply"
+  if (site === "jira") return "Work on"
+  return "Read"
+}
+
+// `text` cut to `max` characters at a word boundary, with "…".
+function fitTitle(text, max) {
+  const clean = (text || "").replace(/\s+/g, " ").trim()
+  if (!max || clean.length <= max) return clean
+  const cut = clean.slice(0, max - 1)
+  const space = cut.lastIndexOf(" ")
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:–—-]+$/, "")}…`
+}
+
+// Rule-based title: the most descriptive part of the page title (segments
+// split on " | ", " – ", " · " …), without segments naming the site or saying
+// "Home", plus the site in parentheses when it fits. page is { title, url,
+// siteName, site (extractor name) }; style is a resolved titleStyle.
+function cleanTitle(page, style = TITLE_STYLE_DEFAULTS) {
+  const title = (page.title || "").replace(/\s+/g, " ").trim()
+  const squash = (s) => s.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "")
+  const host = fallbackHost(page.url)
+  const hostLabels = host.split(".")
+  // "Company Blog" on blog.company.com or companyblog.com alike.
+  const siteLike = (seg) => {
+    const s = squash(seg)
+    const words = seg.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+    if (!s) return false
+    if (s === squash(page.siteName || "") || s === squash(host)) return true
+    return hostLabels.some((l) => l === s) || (words.length > 1 && words.every((w) => hostLabels.includes(w)))
+  }
+  const segments = title.split(TITLE_SEPARATOR_RE).filter(Boolean)
+  const useful = segments.filter((seg) => !siteLike(seg) && !TITLE_CLUTTER.has(seg.toLowerCase()))
+  const main = useful.reduce((a, b) => (b.length > a.length ? b : a), "") || title
+  const site = page.siteName || segments.find(siteLike) || ""
+
+  const prefix = style.verbFirst || style.typePrefix ? `${titleVerb(page)}: ` : ""
+  const suffix = site && !main.toLowerCase().includes(site.toLowerCase()) ? ` (${site})` : ""
+  const full = `${prefix}${main}${suffix}`
+  return full.length <= style.maxLength ? full : fitTitle(`${prefix}${main}`, style.maxLength)
+}
@@ -0,0 +1,157 @@
+// What the extension learns from filing choices. Loaded via importScripts by
+// background.js and as a plain script by options.html.
+//
+// A single-tab save from the popup adds an example to chrome.storage.local
+// (FILING_KEY) when it picked a project or tags, or was shown suggestions:
+//   { at, host, title, keywords, project, tags, rejected: { project, tags } }
+// `rejected` holds the suggestions that were on offer but not taken. The
+// examples are used twice: the ones most like the page go into the classifier
+// prompt as few-shot examples, and a host / title-keyword frequency model
+// (learnedSuggestion) suggests on its own when the Prompt API isn't there.
+
+const FILING_KEY = "filingExamples"
+const MAX_FILING_EXAMPLES = 500
+const MAX_FEW_SHOT = 6
+const MAX_FILING_KEYWORDS = 12
+// An example counts fully for a page on the same host and half for one sharing
+// at least this many title keywords.
+const FILING_MIN_SHARED_KEYWORDS = 2
+// The frequency model only speaks up with this many matching examples behind a
+// choice and this share of the similar examples' weight.
+const LEARNED_MIN_EXAMPLES = 2
+const LEARNED_PROJECT_SHARE = 0.6
+const LEARNED_TAG_SHARE = 0.5
+
+const FILING_STOPWORDS = new Set(
+  (
+    "the and for with from that this your you are was were how what why when who into about over after " +
+    "before under more most than then them they their there here its not but can will just our out all " +
+    "one two new use using via com www http https html page home blog post"
+  ).split(" "),
+)
+
+function filingHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "")
+  } catch {
+    return ""
+  }
+}
+
+function filingKeywords(title) {
+  const words = (title || "").toLowerCase().split(/[^\p{L}\p{N}+#]+/u)
+  const keep = words.filter((w) => w.length > 2 && !FILING_STOPWORDS.has(w) && !/^\d+$/.test(w))
+  return [...new Set(keep)].slice(0, MAX_FILING_KEYWORDS)
+}
+
+// `suggested` is what the popup offered ({ project, tags }); whatever of it
+// wasn't chosen counts as rejected.
+function filingExample({ url, title, project, tags, suggested = {} }) {
+  const chosenTags = tags || []
+  return {
+    at: Date.now(),
+    host: filingHost(url),
+    title: title || "",
+    keywords: filingKeywords(title),
+    project: project || "",
+    tags: chosenTags,
+    rejected: {
+      project: suggested.project && suggested.project !== project ? suggested.project : "",
+      tags: (suggested.tags || []).filter((t) => !chosenTags.includes(t)),
+    },
+  }
+}
+
+// How much an example says about a page: 1 for the same host, 0.5 for enough
+// shared title keywords, else 0.
+function filingWeight(example, host, keywords) {
+  if (host && example.host === host) return 1
+  const shared = example.keywords.filter((k) => keywords.includes(k)).length
+  return shared >= FILING_MIN_SHARED_KEYWORDS ? 0.5 : 0
+}
+
+// The examples most like `page` ({ url, title }), best and newest first.
+function similarFilings(examples, page, n = MAX_FEW_SHOT) {
+  const host = filingHost(page.url)
+  const keywords = filingKeywords(page.title)
+  return examples
+    .map((e) => ({ e, w: filingWeight(e, host, keywords) }))
+    .filter(({ w }) => w > 0)
+    .sort((a, b) => b.w - a.w || b.e.at - a.e.at)
+    .slice(0, n)
+    .map(({ e }) => e)
+}
+
+// One line per example for the classifier prompt.
+function formatFilingExample(e) {
+  const chose = `project: ${e.project || "(Inbox)"}; tags: ${e.tags.join(", ") || "(none)"}`
+  const rejected = [e.rejected.project, ...e.rejected.tags].filter(Boolean)
+  const not = rejected.length ? ` (turned down: ${rejected.join(", ")})` : ""
+  return `- ${e.host}: "${e.title}" → ${chose}${not}`
+}
+
+// Frequency model over the similar examples → { project, tags, scores }, naming
+// only entries that are in `projects` / `tags`. A turned-down suggestion counts
+// against it. Confidence is the choice's share of the similar examples' weight.
+function learnedSuggestion(examples, page, { projects = [], tags = [] }) {
+  const host = filingHost(page.url)
+  const keywords = filingKeywords(page.title)
+  const projectVotes = new Map()
+  const tagVotes = new Map()
+  const vote = (votes, name, w, n) => {
+    const v = votes.get(name) || { w: 0, n: 0 }
+    v.w += w
+    v.n += n
+    votes.set(name, v)
+  }
+  let total = 0
+  for (const e of examples) {
+    const w = filingWeight(e, host, keywords)
+    if (!w) continue
+    total += w
+    if (e.project) vote(projectVotes, e.project, w, 1)
+    if (e.rejected.project) vote(projectVotes, e.rejected.project, -w, 0)
+    for (const t of e.tags) vote(tagVotes, t, w, 1)
+    for (const t of e.rejected.tags) vote(tagVotes, t, -w, 0)
+  }
+  if (!total) return { project: "", tags: [], scores: { project: null, tags: {} } }
+  const strong = (v, share) => v.n >= LEARNED_MIN_EXAMPLES && v.w / total >= share
+  const score = (v) => ({ confidence: Math.min(1, v.w / total), reason: `${v.n} similar saves went this way` })
+  const [best] = [...projectVotes]
+    .filter(([name, v]) => projects.includes(name) && strong(v, LEARNED_PROJECT_SHARE))
+    .sort((a, b) => b[1].w - a[1].w)
+  const tagPicks = [...tagVotes].filter(([name, v]) => tags.includes(name) && strong(v, LEARNED_TAG_SHARE))
+  return {
+    project: best ? best[0] : "",
+    tags: tagPicks.map(([name]) => name),
+    scores: {
+      project: best ? score(best[1]) : null,
+      tags: Object.fromEntries(tagPicks.map(([name, v]) => [name, score(v)])),
+    },
+  }
+}
+
+// For the options page: per host, how often it was filed where.
+// → [{ host, count, projects: [[name, n]], tags: [[name, n]], rejected: [[name, n]] }]
+function learnedByHost(examples) {
+  const hosts = new Map()
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1)
+  for (const e of examples) {
+    if (!hosts.has(e.host)) hosts.set(e.host, { count: 0, projects: new Map(), tags: new Map(), rejected: new Map() })
+    const h = hosts.get(e.host)
+    h.count++
+    bump(h.projects, e.project || "(Inbox)")
+    for (const t of e.tags) bump(h.tags, t)
+    for (const r of [e.rejected.project, ...e.rejected.tags]) if (r) bump(h.rejected, r)
+  }
+  const sorted = (map) => [...map].sort((a, b) => b[1] - a[1])
+  return [...hosts]
+    .map(([host, h]) => ({
+      host,
+      count: h.count,
+      projects: sorted(h.projects),
+      tags: sorted(h.tags),
+      rejected: sorted(h.rejected),
+    }))
+    .sort((a, b) => b.count - a.count)
+}
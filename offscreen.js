@@ -3,12 +3,32 @@ const SUMMARIZER_OPTIONS = {
   length: "short",
   format: "plain-text",
   preference: "speed",
-  sharedContext: "Generate a single-sentence plain-language summary of the following web page.",
   expectedInputLanguages: ["en"],
   outputLanguage: "en",
 }
 
-let summarizerPromise = null
+// User-selectable summary styles (options page + popup override). Each type gets
+// a matching default shared context unless the user wrote their own; the tldr one
+// names the sentence count of the chosen length (the Summarizer's 1, 3 or 5).
+const SUMMARY_TYPES = ["tldr", "key-points", "teaser", "headline"]
+const SUMMARY_LENGTHS = ["short", "medium", "long"]
+const SUMMARY_FORMATS = ["plain-text", "markdown"]
+const TLDR_SENTENCES = { short: "single-sentence", medium: "three-sentence", long: "five-sentence" }
+const DEFAULT_SHARED_CONTEXT = {
+  tldr: (length) => `Generate a ${TLDR_SENTENCES[length]} plain-language summary of the following web page.`,
+  "key-points": () => "List the key points of the following web page.",
+  teaser: () => "Write a short teaser that makes the reader want to read the following web page.",
+  headline: () => "Write a headline for the following web page.",
+}
+
+// One cached summarizer per distinct option set (keyed by JSON of the options).
+const summarizerPromises = new Map()
+
+// Long-page summarization: used when the Summarizer can't report its quota.
+const FALLBACK_CHUNK_CHARS = 8000
+// Leave headroom under inputQuota for the per-call context string.
+const QUOTA_HEADROOM = 0.9
+const MAX_SUMMARY_DEPTH = 3
 
 // Prompt API (LanguageModel) — classifies a saved page into the user's existing
 // projects/tags. Restraint is deliberate: most saves should fall through to the Inbox.
@@ -21,28 +41,69 @@ const CLASSIFIER_SYSTEM_PROMPT = [
   "- Choose zero or more tags that clearly apply.",
   "- Use ONLY the exact project and tag names given in the user message. Never invent names.",
   "- Prefer fewer, high-confidence choices over guessing. When unsure, leave it empty.",
+  "- If the user message lists how the user filed similar pages before, follow those habits,",
+  "  and don't pick what they turned down for pages like this one.",
+  '- Give each choice a "confidence" from 0 to 1 (how sure you are it applies) and a "reason" of',
+  "  at most 12 words naming what on the page points to it.",
   "",
   "Respond with JSON only.",
 ].join("\n")
 
-let classifierPromise = null
+// Reasons are hover text in the popup; a rambling one is cut.
+const MAX_REASON_LEN = 120
+
+// Prompt API — rewrites a page title into an OmniFocus action. Background falls
+// back to fallback.js's rule-based cleanup when this isn't available.
+const TITLE_SYSTEM_PROMPT = [
+  "You turn a saved web page into the title of an OmniFocus action for the user.",
+  "",
+  "Rules:",
+  "- Say what the page is about in plain words; drop site names, section names and clutter",
+  '  like "Home |" or "– Company Blog", unless the site name helps (then put it in parentheses at the end).',
+  "- Keep names, numbers and identifiers (issue numbers, versions, people) that identify the page.",
+  "- Follow the style rules in the user message. Never add quotes around the title.",
+  "",
+  'Respond with JSON only: { "title": "…" }.',
+].join("\n")
+// The title only needs the gist; the rest of the page just slows the model.
+const MAX_TITLE_CONTEXT_LEN = 3000
+
+const languageModelPromises = new Map()
 
 function broadcastProgress(percent) {
   chrome.runtime.sendMessage({ target: "popup", action: "summarizerProgress", percent }).catch(() => {})
 }
 
-async function getSummarizer() {
-  if (summarizerPromise) return summarizerPromise
+// Merge a (possibly partial, possibly stale) stored style over the defaults,
+// ignoring values the Summarizer API wouldn't accept.
+function resolveSummarizerOptions(style = {}) {
+  const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback)
+  const type = pick(style.type, SUMMARY_TYPES, SUMMARIZER_OPTIONS.type)
+  const length = pick(style.length, SUMMARY_LENGTHS, SUMMARIZER_OPTIONS.length)
+  const custom = typeof style.sharedContext === "string" ? style.sharedContext.trim() : ""
+  return {
+    ...SUMMARIZER_OPTIONS,
+    type,
+    length,
+    format: pick(style.format, SUMMARY_FORMATS, SUMMARIZER_OPTIONS.format),
+    sharedContext: custom || DEFAULT_SHARED_CONTEXT[type](length),
+  }
+}
+
+async function getSummarizer(style) {
+  const options = resolveSummarizerOptions(style)
+  const key = JSON.stringify(options)
+  if (summarizerPromises.has(key)) return summarizerPromises.get(key)
   if (!("Summarizer" in self)) {
     throw new Error("Summarizer API unavailable")
   }
-  summarizerPromise = (async () => {
-    const availability = await Summarizer.availability(SUMMARIZER_OPTIONS)
+  const promise = (async () => {
+    const availability = await Summarizer.availability(options)
     if (availability === "unavailable") {
       throw new Error("Summarizer unavailable on this device")
     }
     return Summarizer.create({
-      ...SUMMARIZER_OPTIONS,
+      ...options,
       monitor(m) {
         m.addEventListener("downloadprogress", (e) => {
           const percent = Math.round((e.loaded ?? 0) * 100)
@@ -52,35 +113,157 @@ async function getSummarizer() {
       },
     })
   })().catch((err) => {
-    summarizerPromise = null
+    summarizerPromises.delete(key)
     throw err
   })
-  return summarizerPromise
+  summarizerPromises.set(key, promise)
+  return promise
+}
+
+function broadcastChunkProgress(chunk, chunks) {
+  chrome.runtime.sendMessage({ target: "popup", action: "summarizerProgress", chunk, chunks }).catch(() => {})
+}
+
+async function measure(summarizer, text, context) {
+  if (typeof summarizer.measureInputUsage !== "function") return null
+  try {
+    return await summarizer.measureInputUsage(text, context ? { context } : undefined)
+  } catch {
+    return null
+  }
+}
+
+async function fitsQuota(summarizer, text, context) {
+  const quota = summarizer.inputQuota
+  const usage = await measure(summarizer, text, context)
+  if (usage == null || !Number.isFinite(quota)) return text.length <= FALLBACK_CHUNK_CHARS
+  return usage <= quota * QUOTA_HEADROOM
+}
+
+// Paragraphs, with any paragraph that is itself too long split on sentences and,
+// failing that, hard-cut.
+function splitParagraphs(text, maxChars) {
+  const out = []
+  for (const para of text.split(/\n{2,}/)) {
+    if (para.length <= maxChars) {
+      out.push(para)
+      continue
+    }
+    let current = ""
+    for (const sentence of para.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [para]) {
+      if (current && current.length + sentence.length > maxChars) {
+        out.push(current.trim())
+        current = ""
+      }
+      current += sentence
+      while (current.length > maxChars) {
+        out.push(current.slice(0, maxChars))
+        current = current.slice(maxChars)
+      }
+    }
+    if (current.trim()) out.push(current.trim())
+  }
+  return out.filter((p) => p.trim())
+}
+
+// Greedy packing of paragraphs into chunks of ~maxChars, preferring to break at
+// a section heading (extract.js emits "#"-prefixed headings) once a chunk is at
+// least half full.
+function packChunks(paragraphs, maxChars) {
+  const chunks = []
+  let current = ""
+  for (const para of paragraphs) {
+    const isHeading = /^#{1,6} /.test(para)
+    const tooBig = current.length + para.length + 2 > maxChars
+    const goodBreak = isHeading && current.length > maxChars / 2
+    if (current && (tooBig || goodBreak)) {
+      chunks.push(current)
+      current = ""
+    }
+    current = current ? `${current}\n\n${para}` : para
+  }
+  if (current) chunks.push(current)
+  return chunks
+}
+
+// Character budget per chunk, derived from one measurement of the whole text
+// (tokens per char) and the summarizer's inputQuota.
+async function chunkBudget(summarizer, text, context) {
+  const quota = summarizer.inputQuota
+  const usage = await measure(summarizer, text, context)
+  if (usage == null || !Number.isFinite(quota) || usage <= 0) return FALLBACK_CHUNK_CHARS
+  const charsPerToken = text.length / usage
+  return Math.max(1000, Math.floor(quota * QUOTA_HEADROOM * charsPerToken))
+}
+
+async function splitToFit(summarizer, text, context) {
+  const budget = await chunkBudget(summarizer, text, context)
+  const pending = packChunks(splitParagraphs(text, budget), budget)
+  const chunks = []
+  // The char budget is an estimate; re-split any chunk that still overflows.
+  while (pending.length) {
+    const chunk = pending.shift()
+    if (chunk.length < 2000 || (await fitsQuota(summarizer, chunk, context))) {
+      chunks.push(chunk)
+      continue
+    }
+    const half = Math.floor(chunk.length / 2)
+    pending.unshift(...packChunks(splitParagraphs(chunk, half), half))
+  }
+  return chunks
+}
+
+// Summarize text of any length: directly when it fits, otherwise summarize each
+// chunk and then summarize the joined chunk summaries (recursing if those are
+// still too long). Only the top level reports per-chunk progress. Text still
+// over quota at MAX_SUMMARY_DEPTH is cut to its first chunk that fits.
+async function summarizeText(summarizer, text, context, depth = 0) {
+  if (await fitsQuota(summarizer, text, context)) {
+    return summarizer.summarize(text, context ? { context } : undefined)
+  }
+  if (depth >= MAX_SUMMARY_DEPTH) {
+    const [first] = await splitToFit(summarizer, text, context)
+    return summarizer.summarize(first, context ? { context } : undefined)
+  }
+  const chunks = await splitToFit(summarizer, text, context)
+  const partials = []
+  for (const [i, chunk] of chunks.entries()) {
+    if (depth === 0) broadcastChunkProgress(i + 1, chunks.length)
+    const partContext = [`This is part ${i + 1} of ${chunks.length} of one web page.`, context]
+      .filter(Boolean)
+      .join(" ")
+    const summary = await summarizer.summarize(chunk, { context: partContext })
+    if (summary?.trim()) partials.push(summary.trim())
+  }
+  const combinedContext = ["These are summaries of consecutive sections of one web page.", context]
+    .filter(Boolean)
+    .join(" ")
+  return summarizeText(summarizer, partials.join("\n"), combinedContext, depth + 1)
 }
 
 async function getAvailability() {
   if (!("Summarizer" in self)) return "unavailable"
   try {
-    return await Summarizer.availability(SUMMARIZER_OPTIONS)
+    return await Summarizer.availability(resolveSummarizerOptions())
   } catch {
     return "unavailable"
   }
 }
 
-// Cached base session holding only the system prompt; we clone() it per request so
-// each classification is stateless (mirrors getSummarizer's lazy/cached pattern).
-async function getClassifier() {
-  if (classifierPromise) return classifierPromise
+// Cached base session per system prompt (classifier, titler); we clone() it per
+// request so each call is stateless (mirrors getSummarizer's lazy/cached pattern).
+async function getLanguageModel(systemPrompt) {
+  if (languageModelPromises.has(systemPrompt)) return languageModelPromises.get(systemPrompt)
   if (!("LanguageModel" in self)) {
     throw new Error("Prompt API unavailable")
   }
-  classifierPromise = (async () => {
+  const promise = (async () => {
     const availability = await LanguageModel.availability()
     if (availability === "unavailable") {
       throw new Error("Prompt API unavailable on this device")
     }
     return LanguageModel.create({
-      initialPrompts: [{ role: "system", content: CLASSIFIER_SYSTEM_PROMPT }],
+      initialPrompts: [{ role: "system", content: systemPrompt }],
       monitor(m) {
         m.addEventListener("downloadprogress", (e) => {
           const percent = Math.round((e.loaded ?? 0) * 100)
@@ -90,32 +273,75 @@ async function getClassifier() {
       },
     })
   })().catch((err) => {
-    classifierPromise = null
+    languageModelPromises.delete(systemPrompt)
     throw err
   })
-  return classifierPromise
+  languageModelPromises.set(systemPrompt, promise)
+  return promise
+}
+
+function getClassifier() {
+  return getLanguageModel(CLASSIFIER_SYSTEM_PROMPT)
+}
+
+// One prompt on a fresh session, so turns never accumulate on the cached base.
+async function promptOnce(systemPrompt, text, options) {
+  const base = await getLanguageModel(systemPrompt)
+  let session
+  try {
+    session = await base.clone()
+  } catch {
+    session = await LanguageModel.create({ initialPrompts: [{ role: "system", content: systemPrompt }] })
+  }
+  try {
+    return await session.prompt(text, options)
+  } finally {
+    session?.destroy?.()
+  }
 }
 
-// JSON-schema constraint that pins the model's output to the user's exact names.
-// "" is the Inbox sentinel; empty lists collapse to "no choice" rather than an
-// empty enum (which some schema validators reject).
+// JSON-schema constraint that pins the model's output to the user's exact names,
+// each with a confidence and a reason. "" is the Inbox sentinel; empty lists
+// collapse to "no choice" rather than an empty enum (which some schema
+// validators reject).
 function buildResponseConstraint(projects, tags) {
+  const choice = (names) => ({
+    type: "object",
+    additionalProperties: false,
+    required: ["name", "confidence", "reason"],
+    properties: {
+      name: { type: "string", enum: names },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+      reason: { type: "string" },
+    },
+  })
   return {
     type: "object",
     additionalProperties: false,
     required: ["project", "tags"],
     properties: {
-      project: { type: "string", enum: projects.length ? ["", ...projects] : [""] },
-      tags: tags.length ? { type: "array", items: { type: "string", enum: tags } } : { type: "array", maxItems: 0 },
+      project: choice(projects.length ? ["", ...projects] : [""]),
+      tags: tags.length ? { type: "array", items: choice(tags) } : { type: "array", maxItems: 0 },
     },
   }
 }
 
-function buildClassifyPrompt(text, title, url, projects, tags) {
+// A model choice → { confidence, reason }, clamped and trimmed.
+function choiceScore(choice) {
+  const c = Number(choice?.confidence)
+  const reason = typeof choice?.reason === "string" ? choice.reason.trim().slice(0, MAX_REASON_LEN) : ""
+  return { confidence: Number.isFinite(c) ? Math.min(1, Math.max(0, c)) : 0, reason }
+}
+
+// `examples` are learning.js's formatFilingExample lines (few-shot, may be empty).
+function buildClassifyPrompt(text, page, projects, tags, examples = []) {
   const list = (arr) => (arr.length ? arr.map((x) => `- ${x}`).join("\n") : "(none)")
   return [
-    `Page title: ${title || "(untitled)"}`,
-    `URL: ${url || "(unknown)"}`,
+    `Page title: ${page.title || "(untitled)"}`,
+    `URL: ${page.url || "(unknown)"}`,
+    ...(page.siteName ? [`Site: ${page.siteName}`] : []),
+    ...(page.byline ? [`Author: ${page.byline}`] : []),
+    ...(page.language ? [`Language: ${page.language}`] : []),
     "",
     "Content:",
     text || "(no extractable text)",
@@ -125,40 +351,68 @@ function buildClassifyPrompt(text, title, url, projects, tags) {
     "",
     "Available tags:",
     list(tags),
+    ...(examples.length ? ["", "How the user filed similar pages before:", ...examples] : []),
   ].join("\n")
 }
 
-async function classify({ text, title, url, projects, tags }) {
+async function classify({ text, title, url, siteName, byline, language, projects, tags, examples }) {
   const projectList = Array.isArray(projects) ? projects : []
   const tagList = Array.isArray(tags) ? tags : []
-  const base = await getClassifier()
+  const page = { title, url, siteName, byline, language }
+  const shots = Array.isArray(examples) ? examples : []
+  const raw = await promptOnce(CLASSIFIER_SYSTEM_PROMPT, buildClassifyPrompt(text, page, projectList, tagList, shots), {
+    responseConstraint: buildResponseConstraint(projectList, tagList),
+  })
+  const parsed = JSON.parse(raw)
 
-  // Fresh per-call session so turns never accumulate on the cached base.
-  let session
-  try {
-    session = await base.clone()
-  } catch {
-    session = await LanguageModel.create({
-      initialPrompts: [{ role: "system", content: CLASSIFIER_SYSTEM_PROMPT }],
-    })
+  // Defensive: only ever emit names that exist (or "" → Inbox), even if the
+  // model or the constraint slips.
+  const projectSet = new Set(projectList)
+  const tagSet = new Set(tagList)
+  const project = projectSet.has(parsed.project?.name) ? parsed.project.name : ""
+  const scores = { project: project ? choiceScore(parsed.project) : null, tags: {} }
+  for (const t of Array.isArray(parsed.tags) ? parsed.tags : []) {
+    if (tagSet.has(t?.name) && !scores.tags[t.name]) scores.tags[t.name] = choiceScore(t)
   }
+  return { project, tags: Object.keys(scores.tags), scores }
+}
 
-  try {
-    const raw = await session.prompt(buildClassifyPrompt(text, title, url, projectList, tagList), {
-      responseConstraint: buildResponseConstraint(projectList, tagList),
-    })
-    const parsed = JSON.parse(raw)
-
-    // Defensive: only ever emit names that exist (or "" → Inbox), even if the
-    // model or the constraint slips.
-    const projectSet = new Set(projectList)
-    const tagSet = new Set(tagList)
-    const project = typeof parsed.project === "string" && projectSet.has(parsed.project) ? parsed.project : ""
-    const outTags = Array.isArray(parsed.tags) ? [...new Set(parsed.tags.filter((t) => tagSet.has(t)))] : []
-    return { project, tags: outTags }
-  } finally {
-    session?.destroy?.()
-  }
+// Prompt for the title rewrite: the page, the project it's headed for and the
+// user's title style (background passes a resolved { verbFirst, typePrefix, maxLength }).
+function buildTitlePrompt(text, page, project, style) {
+  const rules = [
+    style.verbFirst ? "- Start with a verb for what the user will do (Read, Watch, Reply to, Review, Buy …)." : "",
+    style.typePrefix
+      ? '- Use the form "Verb: subject", the verb chosen by content type (article → Read, video → Watch, ' +
+        "podcast → Listen, pull request → Review, issue → Reply)."
+      : "",
+    `- At most ${style.maxLength} characters.`,
+  ].filter(Boolean)
+  return [
+    `Page title: ${page.title || "(untitled)"}`,
+    `URL: ${page.url || "(unknown)"}`,
+    ...(page.siteName ? [`Site: ${page.siteName}`] : []),
+    ...(project ? [`Project: ${project}`] : []),
+    "",
+    "Style:",
+    ...rules,
+    "",
+    "Content:",
+    (text || "(no extractable text)").slice(0, MAX_TITLE_CONTEXT_LEN),
+  ].join("\n")
+}
+
+async function suggestTitle({ text, title, url, siteName, project, style }) {
+  const raw = await promptOnce(TITLE_SYSTEM_PROMPT, buildTitlePrompt(text, { title, url, siteName }, project, style), {
+    responseConstraint: {
+      type: "object",
+      additionalProperties: false,
+      required: ["title"],
+      properties: { title: { type: "string" } },
+    },
+  })
+  const parsed = JSON.parse(raw)
+  return typeof parsed.title === "string" ? parsed.title.replace(/\s+/g, " ").trim() : ""
 }
 
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
@@ -169,7 +423,7 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
       try {
         const availability = await getAvailability()
         if (availability !== "unavailable") {
-          await getSummarizer()
+          await getSummarizer(msg.style)
         }
         // Best-effort: warm the classifier too (shares Gemini Nano — no extra download).
         // Fire-and-forget so a Prompt API hiccup never fails summarizer warmup.
@@ -185,8 +439,8 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   if (msg.action === "summarize") {
     ;(async () => {
       try {
-        const summarizer = await getSummarizer()
-        const summary = await summarizer.summarize(msg.text)
+        const summarizer = await getSummarizer(msg.style)
+        const summary = await summarizeText(summarizer, msg.text, msg.context || "")
         sendResponse({ ok: true, summary: (summary || "").trim() })
       } catch (err) {
         sendResponse({ ok: false, error: err.message })
@@ -195,11 +449,22 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     return true
   }
 
+  if (msg.action === "title") {
+    ;(async () => {
+      try {
+        sendResponse({ ok: true, title: await suggestTitle(msg) })
+      } catch (err) {
+        sendResponse({ ok: false, error: err.message })
+      }
+    })()
+    return true
+  }
+
   if (msg.action === "classify") {
     ;(async () => {
       try {
-        const { project, tags } = await classify(msg)
-        sendResponse({ ok: true, project, tags })
+        const { project, tags, scores } = await classify(msg)
+        sendResponse({ ok: true, project, tags, scores })
       } catch (err) {
         sendResponse({ ok: false, error: err.message })
       }
@@ -0,0 +1,230 @@
+// Project and tag sync with OmniFocus. Loaded as a plain script by options.html,
+// sync.html and popup.html and via importScripts by background.js.
+//
+// The same Omni Automation script runs over two transports:
+//   - manual (options page): the script copies the sentinel plus the payload to
+//     the clipboard; pasting it shows a diff to review before anything changes
+//   - background (chrome.alarms or "Sync now"): background.js opens the
+//     x-callback-url form of omnijs-run, OmniFocus passes the script's result to
+//     x-success, and sync.html applies it straight away
+//
+// Payload: { projects?: [...], tags?: [...] }
+//   projects: { id, name, path (folder names, outermost first), status, tags }
+//   tags:     { id, name, parent (id or null), path (parent tag names), status }
+// Status is "active" | "onHold" | "done" | "dropped"; a project in a dropped
+// folder counts as dropped. Items are kept in chrome.storage.local (too big for
+// sync); the popup's name lists in sync only get the active entries.
+
+const SYNC_KINDS = ["projects", "tags"]
+const SYNC_STORE_KEYS = { projects: "ofProjects", tags: "ofTags" }
+const SYNC_SENTINEL = "##OFSYNC:"
+// { state: "ok" | "waiting" | "failed", error, token, startedAt,
+//   syncedAt: { projects, tags }, counts: { projects, tags } } in chrome.storage.local.
+const SYNC_STATUS_KEY = "ofSyncStatus"
+const SYNC_WAIT_MS = 5 * 60 * 1000
+const SYNC_STALE_DAYS = 7
+const SYNC_DAY_MS = 24 * 60 * 60 * 1000
+
+const SYNC_SCRIPT_ITEMS = {
+  projects: `
+    const folderPath = (f) => { const path = []; for (; f; f = f.parent) path.unshift(f.name); return path };
+    const folderDropped = (f) => {
+      for (; f; f = f.parent) if (f.status === Folder.Status.Dropped) return true;
+      return false;
+    };
+    return flattenedProjects.map(p => ({
+      id: p.id.primaryKey, name: p.name, path: folderPath(p.parentFolder),
+      status: folderDropped(p.parentFolder) ? "dropped" : statusName(p.status, Project.Status),
+      tags: p.tags.map(t => t.name)
+    }));
+  `,
+  tags: `
+    const tagPath = (t) => { const path = []; for (; t; t = t.parent) path.unshift(t.name); return path };
+    return flattenedTags.map(t => ({
+      id: t.id.primaryKey, name: t.name, parent: t.parent ? t.parent.id.primaryKey : null,
+      path: tagPath(t.parent), status: statusName(t.status, Tag.Status)
+    }));
+  `,
+}
+
+// The script evaluates to the JSON payload, which omnijs-run hands to x-success
+// as `result`. With `clipboard` it also copies it behind the sentinel.
+function buildSyncScript(kinds, { clipboard = false } = {}) {
+  // Real newline; JSON.stringify will escape it to \n in the JS source we send.
+  const sentinel = `${SYNC_SENTINEL}${kinds.join(",")}##\n`
+  const collect = kinds.map((kind) => `${kind}: (() => { ${SYNC_SCRIPT_ITEMS[kind]} })()`).join(", ")
+  return `
+    (() => {
+      const statusName = (s, S) =>
+        s === S.OnHold ? "onHold" : s === S.Done ? "done" : s === S.Dropped ? "dropped" : "active";
+      const payload = JSON.stringify({ ${collect} });
+      ${clipboard ? `Pasteboard.general.string = ${JSON.stringify(sentinel)} + payload;` : ""}
+      return payload;
+    })();
+  `
+    .trim()
+    .replace(/\s+/g, " ")
+}
+
+// Script output → { projects?, tags? } with tidied items, or null for the old
+// name-per-line format. x-success may carry the result JSON-encoded once more.
+function parseSyncPayload(text) {
+  let json = text.trim()
+  if (json.startsWith('"')) json = JSON.parse(json).trim()
+  if (!json.startsWith("{")) return null
+  const payload = JSON.parse(json)
+  const out = {}
+  for (const kind of SYNC_KINDS) {
+    if (!Array.isArray(payload[kind])) continue
+    out[kind] = payload[kind]
+      .filter((i) => i && i.id && typeof i.name === "string")
+      .map((i) => ({ ...i, path: Array.isArray(i.path) ? i.path : [], status: i.status || "active" }))
+  }
+  return out
+}
+
+function isActiveSyncItem(kind, item) {
+  return kind === "projects" ? item.status === "active" : item.status !== "dropped"
+}
+
+// Compared by id, so a renamed or moved item is a change rather than a
+// removal plus an addition, and same-named items in different folders stay apart.
+function diffSyncItems(before, after) {
+  const old = new Map(before.map((i) => [i.id, i]))
+  const ids = new Set(after.map((i) => i.id))
+  const changed = []
+  for (const item of after) {
+    const prev = old.get(item.id)
+    if (!prev) continue
+    const what = []
+    if (prev.name !== item.name) what.push(`renamed from "${prev.name}"`)
+    if (prev.path.join(" : ") !== item.path.join(" : ")) what.push(`moved from ${prev.path.join(" : ") || "top level"}`)
+    if (prev.status !== item.status) what.push(`${prev.status} → ${item.status}`)
+    if (what.length) changed.push({ item, what })
+  }
+  return {
+    added: after.filter((i) => !old.has(i.id)),
+    removed: before.filter((i) => !ids.has(i.id)),
+    changed,
+  }
+}
+
+// The name each item goes by in the lists, rules and history. Tags whose name
+// is shared with another usable tag are told apart by their path ("Work : Errands").
+function withSyncLabels(kind, items) {
+  const counts = new Map()
+  for (const i of items) if (isActiveSyncItem(kind, i)) counts.set(i.name, (counts.get(i.name) || 0) + 1)
+  return items.map((i) => ({
+    ...i,
+    label: kind === "tags" && counts.get(i.name) > 1 ? [...i.path, i.name].join(" : ") : i.name,
+  }))
+}
+
+// Same id under a new label → { from, to }. A label another item still goes by
+// is left alone, since references to it can't be told apart.
+function syncRenames(before, after) {
+  const old = new Map(before.map((i) => [i.id, i.label || i.name]))
+  const labels = new Set(after.map((i) => i.label))
+  return after
+    .filter((i) => old.has(i.id) && old.get(i.id) !== i.label && !labels.has(old.get(i.id)))
+    .map((i) => ({ from: old.get(i.id), to: i.label }))
+}
+
+// Renames `kind` references in place in items shaped { project } or { tags }
+// (capture rules, history, filing examples). Returns how many changed.
+function renameReferences(kind, items, renames) {
+  const map = new Map(renames.map((r) => [r.from, r.to]))
+  let count = 0
+  const swap = (name) => {
+    if (!map.has(name)) return name
+    count++
+    return map.get(name)
+  }
+  for (const item of items) {
+    if (kind === "projects") item.project = swap(item.project)
+    else if (Array.isArray(item.tags)) item.tags = item.tags.map(swap)
+  }
+  return count
+}
+
+// Points capture rules, project templates, history and learned filing choices
+// at the new names. History and filing examples are appended to by background
+// on every save, so it rewrites those inside its serialized list updates.
+// Returns how many references changed.
+async function applyRenames(kind, renames) {
+  if (!renames.length) return 0
+  const { captureRules: rules = [], projectTemplates: templates = [] } = await chrome.storage.sync.get([
+    "captureRules",
+    "projectTemplates",
+  ])
+  let count = renameReferences(kind, rules, renames)
+  if (kind === "projects") count += renameReferences(kind, templates, renames)
+  if (count) await chrome.storage.sync.set({ captureRules: rules, projectTemplates: templates })
+  const resp = await chrome.runtime.sendMessage({ action: "renameReferences", kind, renames })
+  if (!resp?.success) throw new Error(resp?.error || "Couldn't update history with the new names")
+  return count + resp.count
+}
+
+// Stores one synced list: the items in local, the active names in sync for the
+// popup, renamed references followed, and the time in the sync status.
+// Returns { names, diff, renamed }.
+async function storeSyncedItems(kind, items) {
+  const key = SYNC_STORE_KEYS[kind]
+  const { [key]: before = [], [SYNC_STATUS_KEY]: status = {} } = await chrome.storage.local.get([
+    key,
+    SYNC_STATUS_KEY,
+  ])
+  const labelled = withSyncLabels(kind, items)
+  const names = [...new Set(labelled.filter((i) => isActiveSyncItem(kind, i)).map((i) => i.label))]
+  await chrome.storage.local.set({
+    [key]: labelled,
+    [SYNC_STATUS_KEY]: {
+      ...status,
+      syncedAt: { ...status.syncedAt, [kind]: Date.now() },
+      counts: { ...status.counts, [kind]: items.length },
+    },
+  })
+  await chrome.storage.sync.set({ [kind]: names })
+  const renamed = await applyRenames(kind, syncRenames(before, labelled))
+  return { names, diff: diffSyncItems(before, items), renamed }
+}
+
+async function updateSyncStatus(patch) {
+  const { [SYNC_STATUS_KEY]: status = {} } = await chrome.storage.local.get(SYNC_STATUS_KEY)
+  const next = { ...status, ...patch }
+  await chrome.storage.local.set({ [SYNC_STATUS_KEY]: next })
+  return next
+}
+
+// Oldest sync time across the lists that have been synced, or null if none has.
+function lastSyncedAt(status) {
+  const times = Object.values(status?.syncedAt || {}).filter(Boolean)
+  return times.length ? Math.min(...times) : null
+}
+
+// A background sync that never called back counts as failed once SYNC_WAIT_MS
+// has passed (OmniFocus not running, script not approved, x-success dropped).
+function syncState(status, now = Date.now()) {
+  if (status?.state === "waiting" && now - status.startedAt > SYNC_WAIT_MS) return "failed"
+  return status?.state || "never"
+}
+
+// Whether the popup should warn: the last sync is older than SYNC_STALE_DAYS,
+// or with automatic sync on, older than two missed runs (at least a day).
+function syncIsStale(status, autoSyncMinutes = 0, now = Date.now()) {
+  const at = lastSyncedAt(status)
+  if (!at) return false
+  const limit =
+    autoSyncMinutes > 0 ? Math.max(2 * autoSyncMinutes * 60 * 1000, SYNC_DAY_MS) : SYNC_STALE_DAYS * SYNC_DAY_MS
+  return now - at > limit
+}
+
+function syncAgo(at, now = Date.now()) {
+  const minutes = Math.round((now - at) / 60000)
+  if (minutes < 1) return "just now"
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 24) return `${hours} h ago`
+  const days = Math.round(hours / 24)
+  return days === 1 ? "yesterday" : `${days} days ago`
+}
@@ -0,0 +1,189 @@
+// Task fields, their validation, the OmniFocus add URL and the TaskPaper sent
+// through the paste URL. Loaded via importScripts by background.js; no chrome.*
+// calls, so tests load it as is.
+
+// Fields of a save besides name/note; carried through the queue and history.
+// estimate is in minutes; repeatRule is an iCalendar RRULE ("FREQ=WEEKLY;BYDAY=MO").
+// projectId is the OmniFocus id of `project` when the popup knows it (same-named
+// projects in different folders); see resolveOmniFocusIds.
+const TASK_FIELDS = [
+  "project",
+  "projectId",
+  "tags",
+  "flag",
+  "due",
+  "defer",
+  "estimate",
+  "repeatRule",
+  "repeatMethod",
+  "completed",
+]
+const REPEAT_METHODS = ["fixed", "start-after-completion", "due-after-completion"]
+const TASK_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?: ([01]\d|2[0-3]):([0-5]\d))?$/
+const MAX_ESTIMATE_MINUTES = 7 * 24 * 60
+const RRULE_DAY = "(?:[+-]?\\d{1,2})?(?:MO|TU|WE|TH|FR|SA|SU)"
+const RRULE_PARTS = {
+  FREQ: /^(MINUTELY|HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)$/,
+  INTERVAL: /^[1-9]\d{0,2}$/,
+  COUNT: /^[1-9]\d{0,3}$/,
+  UNTIL: /^\d{8}(T\d{6}Z?)?$/,
+  BYDAY: new RegExp(`^${RRULE_DAY}(,${RRULE_DAY})*$`),
+  BYMONTHDAY: /^-?([1-9]|[12]\d|3[01])(,-?([1-9]|[12]\d|3[01]))*$/,
+  BYMONTH: /^([1-9]|1[0-2])(,([1-9]|1[0-2]))*$/,
+  BYSETPOS: /^-?\d{1,3}(,-?\d{1,3})*$/,
+  WKST: /^(MO|TU|WE|TH|FR|SA|SU)$/,
+}
+
+function pickTaskFields(obj) {
+  return Object.fromEntries(TASK_FIELDS.map((key) => [key, obj[key] ?? null]))
+}
+
+function isTaskDate(value) {
+  const m = typeof value === "string" && value.match(TASK_DATE_RE)
+  if (!m) return false
+  const d = new Date(+m[1], m[2] - 1, +m[3])
+  return d.getMonth() === m[2] - 1 && d.getDate() === +m[3]
+}
+
+// A valid task date → Date. Date-only values get `time` ("HH:MM"), the way
+// OmniFocus reads them: start of day for a defer, the work-day end for a due.
+function taskDateTime(value, time = "00:00") {
+  const [, y, mo, d, h, min] = value.match(TASK_DATE_RE)
+  const [th, tm] = time.split(":").map(Number)
+  return h ? new Date(+y, mo - 1, +d, +h, +min) : new Date(+y, mo - 1, +d, th || 0, tm || 0)
+}
+
+function repeatRuleProblem(rule) {
+  const seen = new Set()
+  for (const part of rule.split(";")) {
+    const [key, value, extra] = part.split("=")
+    if (!RRULE_PARTS[key]) return `unknown repeat rule part "${part}"`
+    if (value == null || extra != null || !RRULE_PARTS[key].test(value)) return `bad repeat rule value "${part}"`
+    if (seen.has(key)) return `repeat rule repeats ${key}`
+    seen.add(key)
+  }
+  if (!seen.has("FREQ")) return "repeat rule needs a FREQ"
+  if (seen.has("COUNT") && seen.has("UNTIL")) return "repeat rule can't have both COUNT and UNTIL"
+  return null
+}
+
+// Catches values OmniFocus would reject or silently misread, so a bad save fails
+// here with a message instead of in a handoff tab. Throws with every problem found.
+// workdayEnd (Settings, "HH:MM") is when a date-only due falls.
+function validateTaskFields(fields, { workdayEnd = "17:00" } = {}) {
+  const problems = []
+  for (const key of ["due", "defer", "completed"]) {
+    if (fields[key] && !isTaskDate(fields[key])) problems.push(`${key} date "${fields[key]}" isn't YYYY-MM-DD [HH:MM]`)
+  }
+  const { due, defer } = fields
+  if (isTaskDate(due) && isTaskDate(defer) && taskDateTime(defer) > taskDateTime(due, workdayEnd)) {
+    problems.push("defer date is after the due date")
+  }
+  const { estimate, repeatRule, repeatMethod, tags } = fields
+  if (estimate != null && !(Number.isInteger(estimate) && estimate > 0 && estimate <= MAX_ESTIMATE_MINUTES)) {
+    problems.push(`estimate must be 1–${MAX_ESTIMATE_MINUTES} minutes`)
+  }
+  if (repeatRule) {
+    const problem = repeatRuleProblem(repeatRule)
+    if (problem) problems.push(problem)
+  }
+  if (repeatMethod && !REPEAT_METHODS.includes(repeatMethod)) problems.push(`unknown repeat method "${repeatMethod}"`)
+  if (repeatMethod && !repeatRule) problems.push("repeat method given without a repeat rule")
+  // The URL joins tags with commas, so a comma inside one would split it in two.
+  const badTag = (tags || []).find((t) => typeof t !== "string" || !t.trim() || t.includes(","))
+  if (badTag != null) problems.push(`tag "${badTag}" is empty or contains a comma`)
+  if (problems.length) throw new Error(`Invalid task: ${problems.join("; ")}`)
+}
+
+// Covers the documented add-URL parameters; anything unset is left out so
+// OmniFocus applies its own defaults.
+function buildOmnifocusUrl(fields) {
+  const { name, note, attachment, attachmentName, project, tags, flag, parallel, completed, defer, due } = fields
+  const { estimate, repeatRule, repeatMethod, autosave } = fields
+  // Manual encoding (not URLSearchParams) because OmniFocus's URL parser treats
+  // `+` as a literal character; we need spaces encoded as %20 (RFC 3986).
+  const enc = encodeURIComponent
+  const parts = [`name=${enc(name || "")}`, `note=${enc(note || "")}`]
+  if (attachment) {
+    parts.push(`attachment=${enc(attachment)}`)
+    if (attachmentName) parts.push(`attachment-name=${enc(attachmentName)}`)
+  }
+  if (project) parts.push(`project=${enc(project)}`)
+  if (tags && tags.length) parts.push(`tags=${enc(tags.join(","))}`)
+  if (flag) parts.push("flag=true")
+  if (parallel != null) parts.push(`parallel=${parallel ? "true" : "false"}`)
+  if (completed) parts.push(`completed=${enc(completed)}`)
+  if (defer) parts.push(`defer=${enc(defer)}`)
+  if (due) parts.push(`due=${enc(due)}`)
+  if (estimate) parts.push(`estimate=${enc(`${estimate}m`)}`)
+  if (repeatRule) {
+    parts.push(`repeat-method=${enc(repeatMethod || "fixed")}`)
+    parts.push(`repeat-rule=${enc(repeatRule)}`)
+  }
+  if (autosave) parts.push("autosave=true")
+  return `omnifocus:///add?${parts.join("&")}`
+}
+
+// ── TaskPaper ──
+// OmniFocus's TaskPaper dialect, for multi-action captures sent through the
+// paste URL: "- name @attr(value)…" item lines, tab-indented children, and note
+// lines one level deeper than their item. TaskPaper has no escape syntax, so text
+// that would parse as structure is defused with a zero-width space: " @word"
+// (a tag) becomes " @\u200bword", a note line starting "- " (an item) or ending
+// in ":" (a project) gets one at the start/end. Newlines in names become spaces.
+const PASTE_TARGETS = ["inbox", "projects"]
+const ZWSP = "\u200b"
+
+function taskPaperText(text) {
+  return text.replace(/(^|\s)@(?=[\w(])/g, `$1@${ZWSP}`)
+}
+
+function taskPaperName(name) {
+  return taskPaperText((name || "").replace(/\s*\n\s*/g, " ").trim()) || "Untitled"
+}
+
+function taskPaperNoteLine(line) {
+  let out = taskPaperText(line.replace(/\s+$/, ""))
+  if (/^\s*- /.test(out)) out = ZWSP + out
+  if (out.endsWith(":")) out += ZWSP
+  return out
+}
+
+// Attribute values end at the first ")", so one can't appear inside them.
+function taskPaperAttr(name, value) {
+  const v = String(value)
+  if (/[()\n]/.test(v)) throw new Error(`@${name} value "${v}" can't contain parentheses or line breaks`)
+  return `@${name}(${v})`
+}
+
+// items: [{ name, note, tags, flag, defer, due, estimate, repeatRule, repeatMethod,
+// completed, parallel, children }] → TaskPaper text.
+function toTaskPaper(items, depth = 0) {
+  const indent = "\t".repeat(depth)
+  const lines = []
+  for (const item of items) {
+    const attrs = []
+    if (item.parallel != null) attrs.push(taskPaperAttr("parallel", !!item.parallel))
+    if (item.children?.length) attrs.push(taskPaperAttr("autodone", false))
+    if (item.tags?.length) attrs.push(taskPaperAttr("tags", item.tags.join(", ")))
+    if (item.flag) attrs.push("@flagged")
+    if (item.defer) attrs.push(taskPaperAttr("defer", item.defer))
+    if (item.due) attrs.push(taskPaperAttr("due", item.due))
+    if (item.estimate) attrs.push(taskPaperAttr("estimate", `${item.estimate}m`))
+    if (item.repeatRule) {
+      attrs.push(taskPaperAttr("repeat-method", item.repeatMethod || "fixed"))
+      attrs.push(taskPaperAttr("repeat-rule", item.repeatRule))
+    }
+    if (item.completed) attrs.push(taskPaperAttr("done", item.completed))
+    lines.push(`${indent}- ${[taskPaperName(item.name), ...attrs].join(" ")}`)
+    if (item.note) {
+      for (const line of item.note.split("\n")) lines.push(line.trim() ? `${indent}\t${taskPaperNoteLine(line)}` : "")
+    }
+    if (item.children?.length) lines.push(toTaskPaper(item.children, depth + 1))
+  }
+  return lines.join("\n")
+}
+
+function buildPasteUrl({ taskpaper, target }) {
+  return `omnifocus:///paste?target=${encodeURIComponent(target || "inbox")}&content=${encodeURIComponent(taskpaper)}`
+}
@@ -9,10 +9,72 @@ const pasteProjectsBtn = document.getElementById("pasteProjects")
 const pasteTagsBtn = document.getElementById("pasteTags")
 const themeRadios = Array.from(document.querySelectorAll('input[name="theme"]'))
 const suggestMetaEl = document.getElementById("suggestMeta")
-
-const SYNC_SENTINEL = "##OFSYNC:"
+const suggestMinConfidenceEl = document.getElementById("suggestMinConfidence")
+const suggestAutoApplyEl = document.getElementById("suggestAutoApply")
+const titleModeEl = document.getElementById("titleMode")
+const titleMaxLengthEl = document.getElementById("titleMaxLength")
+const titleVerbFirstEl = document.getElementById("titleVerbFirst")
+const titleTypePrefixEl = document.getElementById("titleTypePrefix")
+const skipDuplicatesEl = document.getElementById("skipDuplicates")
+const weekStartEl = document.getElementById("weekStart")
+const workdayEndEl = document.getElementById("workdayEnd")
+const suggestDatesEl = document.getElementById("suggestDates")
+const flagWithinDaysEl = document.getElementById("flagWithinDays")
+const cleanUrlsEl = document.getElementById("cleanUrls")
+const useCanonicalUrlEl = document.getElementById("useCanonicalUrl")
+const urlRulesEl = document.getElementById("urlRules")
+const checklistTemplatesEl = document.getElementById("checklistTemplates")
+const projectKeywordsEl = document.getElementById("projectKeywords")
+const summaryTypeEl = document.getElementById("summaryType")
+const summaryLengthEl = document.getElementById("summaryLength")
+const summaryFormatEl = document.getElementById("summaryFormat")
+const summaryContextEl = document.getElementById("summaryContext")
+const quoteSelectionEl = document.getElementById("quoteSelection")
+const titleTemplateEl = document.getElementById("titleTemplate")
+const noteTemplateEl = document.getElementById("noteTemplate")
+const templateErrorEl = document.getElementById("templateError")
+const projectTemplateListEl = document.getElementById("projectTemplateList")
+const addProjectTemplateBtn = document.getElementById("addProjectTemplate")
+const templatesStatusEl = document.getElementById("templatesStatus")
+const templatePreviewEl = document.getElementById("templatePreview")
+const ruleListEl = document.getElementById("ruleList")
+const ruleProjectsEl = document.getElementById("ruleProjects")
+const addRuleBtn = document.getElementById("addRule")
+const rulesStatusEl = document.getElementById("rulesStatus")
+const ruleTestUrlEl = document.getElementById("ruleTestUrl")
+const ruleTestTitleEl = document.getElementById("ruleTestTitle")
+const ruleTestResultEl = document.getElementById("ruleTestResult")
+const historySearchEl = document.getElementById("historySearch")
+const historyProjectEl = document.getElementById("historyProject")
+const historyTagEl = document.getElementById("historyTag")
+const historyFromEl = document.getElementById("historyFrom")
+const historyToEl = document.getElementById("historyTo")
+const historyCountEl = document.getElementById("historyCount")
+const historyListEl = document.getElementById("historyList")
+const historyStatusEl = document.getElementById("historyStatus")
+const exportJsonBtn = document.getElementById("exportJson")
+const exportCsvBtn = document.getElementById("exportCsv")
+const clearHistoryBtn = document.getElementById("clearHistory")
+const syncReviewEl = document.getElementById("syncReview")
+const syncSummaryEl = document.getElementById("syncSummary")
+const syncChangesEl = document.getElementById("syncChanges")
+const applySyncBtn = document.getElementById("applySync")
+const discardSyncBtn = document.getElementById("discardSync")
+const autoSyncEl = document.getElementById("autoSync")
+const syncNowBtn = document.getElementById("syncNow")
+const syncStatusEl = document.getElementById("syncStatus")
+const learnFilingEl = document.getElementById("learnFiling")
+const learnedCountEl = document.getElementById("learnedCount")
+const learnedListEl = document.getElementById("learnedList")
+const clearLearnedBtn = document.getElementById("clearLearned")
+const learnedStatusEl = document.getElementById("learnedStatus")
 
 let pendingSync = null // 'projects' | 'tags' | null
+let syncReview = null // { kind, items } waiting for Apply
+let captureRules = []
+let rulesSaveTimer = null
+let projectTemplates = []
+let templatesSaveTimer = null
 
 // Matches the sync sentinel for either kind, with either a real newline or
 // the legacy literal "\n" form.
@@ -29,10 +91,10 @@ function parseList(text) {
     .filter((s) => s && !SENTINEL_ANY_RE.test(s + "\n"))
 }
 
-function flash(msg, ok = true) {
-  statusEl.textContent = msg
-  statusEl.style.color = ok ? "#2a8c4a" : "#c0392b"
-  setTimeout(() => (statusEl.textContent = ""), 4000)
+function flash(msg, ok = true, el = statusEl) {
+  el.textContent = msg
+  el.style.color = ok ? "#2a8c4a" : "#c0392b"
+  setTimeout(() => (el.textContent = ""), 4000)
 }
 
 async function load() {
@@ -41,12 +103,72 @@ async function load() {
     tags = [],
     theme = "classic",
     suggestMeta = true,
-  } = await chrome.storage.sync.get(["projects", "tags", "theme", "suggestMeta"])
+    suggestMinConfidence = 0,
+    suggestAutoApply = 0,
+    titleStyle = {},
+    skipDuplicates = true,
+    cleanUrls = true,
+    useCanonicalUrl = true,
+    urlRules = [],
+    checklistTemplates = [],
+    projectKeywords = [],
+    summaryStyle = {},
+    quoteSelection = true,
+    weekStart = 1,
+    workdayEnd = "17:00",
+    suggestDates = true,
+    flagWithinDays = 3,
+    autoSyncMinutes = 0,
+  } = await chrome.storage.sync.get([
+    "projects",
+    "tags",
+    "theme",
+    "suggestMeta",
+    "suggestMinConfidence",
+    "suggestAutoApply",
+    "titleStyle",
+    "skipDuplicates",
+    "cleanUrls",
+    "useCanonicalUrl",
+    "urlRules",
+    "checklistTemplates",
+    "projectKeywords",
+    "summaryStyle",
+    "quoteSelection",
+    "weekStart",
+    "workdayEnd",
+    "suggestDates",
+    "flagWithinDays",
+    "autoSyncMinutes",
+  ])
   projectsEl.value = projects.join("\n")
   tagsEl.value = tags.join("\n")
   applyTheme(theme)
   for (const r of themeRadios) r.checked = r.value === theme
   suggestMetaEl.checked = suggestMeta
+  suggestMinConfidenceEl.value = String(suggestMinConfidence)
+  suggestAutoApplyEl.value = String(suggestAutoApply)
+  const title = { ...TITLE_STYLE_DEFAULTS, ...titleStyle }
+  titleModeEl.value = title.mode
+  titleMaxLengthEl.value = String(title.maxLength)
+  titleVerbFirstEl.checked = title.verbFirst
+  titleTypePrefixEl.checked = title.typePrefix
+  skipDuplicatesEl.checked = skipDuplicates
+  cleanUrlsEl.checked = cleanUrls
+  useCanonicalUrlEl.checked = useCanonicalUrl
+  urlRulesEl.value = urlRules.join("\n")
+  checklistTemplatesEl.value = checklistTemplates.join("\n")
+  projectKeywordsEl.value = projectKeywords.join("\n")
+  summaryTypeEl.value = summaryStyle.type || "tldr"
+  summaryLengthEl.value = summaryStyle.length || "short"
+  summaryFormatEl.value = summaryStyle.format || "plain-text"
+  summaryContextEl.value = summaryStyle.sharedContext || ""
+  quoteSelectionEl.checked = quoteSelection
+  weekStartEl.value = String(weekStart)
+  workdayEndEl.value = workdayEnd
+  suggestDatesEl.checked = suggestDates
+  flagWithinDaysEl.value = String(flagWithinDays)
+  autoSyncEl.value = String(autoSyncMinutes)
 }
 
 function applyTheme(theme) {
@@ -62,27 +184,120 @@ async function setTheme(theme) {
 async function save() {
   const projects = parseList(projectsEl.value)
   const tags = parseList(tagsEl.value)
-  await chrome.storage.sync.set({ projects, tags })
-  flash(`Saved (${projects.length} projects, ${tags.length} tags)`)
+  const urlRules = parseList(urlRulesEl.value)
+  const checklistTemplates = parseList(checklistTemplatesEl.value)
+  const projectKeywords = parseList(projectKeywordsEl.value)
+  await chrome.storage.sync.set({ projects, tags, urlRules, checklistTemplates, projectKeywords })
+  const problem = projectKeywords.map((line) => keywordListProblem(line, { projects, tags })).find(Boolean)
+  if (problem) flash(`Saved, but keywords: ${problem}`, false)
+  else flash(`Saved (${projects.length} projects, ${tags.length} tags)`)
+}
+
+// ── sync with OmniFocus ──
+// Shared parsing, diffing and storing live in ofsync.js; the manual clipboard
+// round trip and its review panel live here.
+const MAX_SYNC_CHANGES_SHOWN = 100
+
+function syncItemLabel(item) {
+  const label = [...item.path, item.name].join(" : ")
+  return item.status === "active" ? label : `${label} (${item.status})`
+}
+
+function showSyncReview(kind, items, { added, removed, changed }) {
+  syncReview = { kind, items }
+  syncSummaryEl.textContent =
+    `${kind === "projects" ? "Projects" : "Tags"} from OmniFocus: ${items.length} — ` +
+    `${added.length} added, ${removed.length} removed, ${changed.length} changed`
+  syncChangesEl.innerHTML = ""
+  const lines = [
+    ...added.map((i) => ["add", `+ ${syncItemLabel(i)}`]),
+    ...removed.map((i) => ["remove", `− ${syncItemLabel(i)}`]),
+    ...changed.map(({ item, what }) => ["change", `~ ${syncItemLabel(item)}: ${what.join(", ")}`]),
+  ]
+  for (const [cls, text] of lines.slice(0, MAX_SYNC_CHANGES_SHOWN)) {
+    const li = document.createElement("li")
+    li.className = cls
+    li.textContent = text
+    syncChangesEl.appendChild(li)
+  }
+  if (lines.length > MAX_SYNC_CHANGES_SHOWN) {
+    const li = document.createElement("li")
+    li.textContent = `… ${lines.length - MAX_SYNC_CHANGES_SHOWN} more`
+    syncChangesEl.appendChild(li)
+  }
+  applySyncBtn.textContent = lines.length ? "Apply" : "Apply (no changes)"
+  syncReviewEl.hidden = false
+  syncReviewEl.scrollIntoView({ block: "nearest" })
+}
+
+async function applySync() {
+  if (!syncReview) return
+  const { kind, items } = syncReview
+  const { names, renamed } = await storeSyncedItems(kind, items)
+  const target = kind === "projects" ? projectsEl : tagsEl
+  target.value = names.join("\n")
+  if (renamed) {
+    await Promise.all([loadRules(), loadTemplates()])
+    flash(`Saved ${names.length} ${kind}; updated ${renamed} reference${renamed === 1 ? "" : "s"} to renamed ones`)
+  } else {
+    flash(`Saved ${names.length} ${kind}`)
+  }
+  syncReview = null
+  syncReviewEl.hidden = true
+}
+
+// Clipboard text from the sync script: a structured payload goes to the review;
+// the old name-per-line format is applied straight away as before.
+async function receiveSync(kind, text) {
+  const cleaned = stripSentinel(text, kind)
+  pendingSync = null
+  let payload
+  try {
+    payload = parseSyncPayload(cleaned)
+    if (payload && !payload[kind]) throw new Error(`the clipboard holds no ${kind}`)
+  } catch (err) {
+    flash(`Couldn't read the sync data: ${err.message}`, false)
+    return
+  }
+  if (!payload) {
+    const target = kind === "projects" ? projectsEl : tagsEl
+    target.value = cleaned
+    flash(`Pasted ${parseList(cleaned).length} ${kind} from clipboard`)
+    await save()
+    return
+  }
+  const key = SYNC_STORE_KEYS[kind]
+  const { [key]: before = [] } = await chrome.storage.local.get(key)
+  showSyncReview(kind, payload[kind], diffSyncItems(before, payload[kind]))
 }
 
-function buildSyncScript(kind) {
-  const collection = kind === "projects" ? "flattenedProjects" : "flattenedTags"
-  // Real newline; JSON.stringify will escape it to \n in the JS source we send.
-  const sentinel = `${SYNC_SENTINEL}${kind}##\n`
-  return `
-    (() => {
-      const names = ${collection}.map(x => x.name).filter(Boolean);
-      Pasteboard.general.string = ${JSON.stringify(sentinel)} + names.join("\\n");
-    })();
-  `
-    .trim()
-    .replace(/\s+/g, " ")
+// ── background sync ──
+// background.js runs it on the chrome.alarms schedule or on "Sync now";
+// sync.html stores the result and the status below follows ofSyncStatus.
+async function renderSyncStatus() {
+  const { [SYNC_STATUS_KEY]: status = {} } = await chrome.storage.local.get(SYNC_STATUS_KEY)
+  const state = syncState(status)
+  const at = lastSyncedAt(status)
+  const parts = []
+  if (state === "waiting") parts.push("Waiting for OmniFocus…")
+  if (state === "failed") parts.push(`Last sync failed: ${status.error || "OmniFocus didn't answer"}`)
+  if (at) parts.push(`Last synced ${syncAgo(at)}`)
+  syncStatusEl.textContent = parts.join(" · ") || "Never synced"
+  syncStatusEl.title = at ? new Date(at).toLocaleString() : ""
+  syncStatusEl.className = `sync-status ${state}`
+}
+
+function syncNow() {
+  chrome.runtime.sendMessage({ action: "syncNow" }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.success) {
+      flash(`Couldn't start the sync: ${resp?.error || chrome.runtime.lastError?.message}`, false)
+    }
+  })
 }
 
 function startSync(kind) {
   pendingSync = kind
-  const script = buildSyncScript(kind)
+  const script = buildSyncScript([kind], { clipboard: true })
   const url = `omnifocus://x-callback-url/omnijs-run?script=${encodeURIComponent(script)}`
   const a = document.createElement("a")
   a.href = url
@@ -112,13 +327,7 @@ async function pasteFrom(kind) {
     flash("Clipboard is empty.", false)
     return
   }
-  const cleaned = stripSentinel(text, kind)
-  const target = kind === "projects" ? projectsEl : tagsEl
-  target.value = cleaned
-  const count = parseList(cleaned).length
-  flash(`Pasted ${count} ${kind} from clipboard`)
-  await save()
-  pendingSync = null
+  await receiveSync(kind, text)
 }
 
 async function tryAutoPasteOnFocus() {
@@ -131,17 +340,13 @@ async function tryAutoPasteOnFocus() {
   }
   const re = new RegExp(`^${SYNC_SENTINEL}${pendingSync}##(?:\\\\n|\\n)`)
   if (!re.test(text)) return
-  const list = text.replace(re, "").trim()
-  const target = pendingSync === "projects" ? projectsEl : tagsEl
-  target.value = list
-  flash(`Auto-pasted ${parseList(list).length} ${pendingSync}`)
-  await save()
-  pendingSync = null
+  await receiveSync(pendingSync, text)
 }
 
 saveBtn.addEventListener("click", save)
 resetBtn.addEventListener("click", async () => {
   await chrome.storage.sync.remove(["projects", "tags"])
+  await chrome.storage.local.remove([...Object.values(SYNC_STORE_KEYS), SYNC_STATUS_KEY])
   await load()
   flash("Cleared")
 })
@@ -149,6 +354,18 @@ syncProjectsBtn.addEventListener("click", () => startSync("projects"))
 syncTagsBtn.addEventListener("click", () => startSync("tags"))
 pasteProjectsBtn.addEventListener("click", () => pasteFrom("projects"))
 pasteTagsBtn.addEventListener("click", () => pasteFrom("tags"))
+applySyncBtn.addEventListener("click", applySync)
+syncNowBtn.addEventListener("click", syncNow)
+autoSyncEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ autoSyncMinutes: Number(autoSyncEl.value) })
+  const every = autoSyncEl.selectedOptions[0].textContent.toLowerCase()
+  flash(autoSyncEl.value === "0" ? "Background sync off" : `Syncing ${every}`)
+})
+discardSyncBtn.addEventListener("click", () => {
+  syncReview = null
+  syncReviewEl.hidden = true
+  flash("Sync discarded")
+})
 
 for (const r of themeRadios) {
   r.addEventListener("change", () => {
@@ -160,6 +377,85 @@ suggestMetaEl.addEventListener("change", async () => {
   await chrome.storage.sync.set({ suggestMeta: suggestMetaEl.checked })
   flash(suggestMetaEl.checked ? "AI suggestions on" : "AI suggestions off")
 })
+suggestMinConfidenceEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ suggestMinConfidence: Number(suggestMinConfidenceEl.value) })
+  flash(suggestMinConfidenceEl.selectedOptions[0].text)
+})
+suggestAutoApplyEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ suggestAutoApply: Number(suggestAutoApplyEl.value) })
+  flash(suggestAutoApplyEl.selectedOptions[0].text)
+})
+
+skipDuplicatesEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ skipDuplicates: skipDuplicatesEl.checked })
+  flash(skipDuplicatesEl.checked ? "Shortcut skips duplicates" : "Shortcut saves duplicates")
+})
+
+weekStartEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ weekStart: Number(weekStartEl.value) })
+  flash(`Weeks start on ${weekStartEl.selectedOptions[0].textContent.split(" ").pop()}`)
+})
+
+workdayEndEl.addEventListener("change", async () => {
+  if (!workdayEndEl.value) return
+  await chrome.storage.sync.set({ workdayEnd: workdayEndEl.value })
+  flash(`Work day ends at ${workdayEndEl.value}`)
+})
+suggestDatesEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ suggestDates: suggestDatesEl.checked })
+  flash(suggestDatesEl.checked ? "Date suggestions on" : "Date suggestions off")
+})
+flagWithinDaysEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ flagWithinDays: Number(flagWithinDaysEl.value) })
+  flash(flagWithinDaysEl.selectedOptions[0].textContent)
+})
+
+cleanUrlsEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ cleanUrls: cleanUrlsEl.checked })
+  flash(cleanUrlsEl.checked ? "URL cleaning on" : "URL cleaning off")
+})
+
+useCanonicalUrlEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ useCanonicalUrl: useCanonicalUrlEl.checked })
+  flash(useCanonicalUrlEl.checked ? "Canonical URLs on" : "Canonical URLs off")
+})
+
+async function saveTitleStyle() {
+  const maxLength = Math.min(200, Math.max(30, Number(titleMaxLengthEl.value) || TITLE_STYLE_DEFAULTS.maxLength))
+  titleMaxLengthEl.value = String(maxLength)
+  const titleStyle = {
+    mode: titleModeEl.value,
+    verbFirst: titleVerbFirstEl.checked,
+    typePrefix: titleTypePrefixEl.checked,
+    maxLength,
+  }
+  await chrome.storage.sync.set({ titleStyle })
+  flash(`Titles: ${titleModeEl.selectedOptions[0].textContent}, up to ${maxLength} characters`)
+}
+
+for (const el of [titleModeEl, titleMaxLengthEl, titleVerbFirstEl, titleTypePrefixEl]) {
+  el.addEventListener("change", saveTitleStyle)
+}
+
+async function saveSummaryStyle() {
+  const summaryStyle = {
+    type: summaryTypeEl.value,
+    length: summaryLengthEl.value,
+    format: summaryFormatEl.value,
+    sharedContext: summaryContextEl.value.trim(),
+  }
+  await chrome.storage.sync.set({ summaryStyle })
+  flash(`Summary: ${summaryTypeEl.selectedOptions[0].textContent}, ${summaryStyle.length}`)
+}
+
+for (const el of [summaryTypeEl, summaryLengthEl, summaryFormatEl, summaryContextEl]) {
+  el.addEventListener("change", saveSummaryStyle)
+}
+
+quoteSelectionEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ quoteSelection: quoteSelectionEl.checked })
+  flash(quoteSelectionEl.checked ? "Selections are quoted" : "Selections are not quoted")
+})
 
 function handleManualPaste(e) {
   const pasted = e.clipboardData?.getData("text") ?? ""
@@ -179,4 +475,548 @@ tagsEl.addEventListener("paste", handleManualPaste)
 
 window.addEventListener("focus", tryAutoPasteOnFocus)
 
+// ── templates ──
+// Global title/note templates plus per-project overrides, saved (debounced) to
+// sync and rendered by templates.js in the popup and background alike.
+const TEMPLATE_SAMPLE = {
+  title: "Attention Is All You Need",
+  url: "https://arxiv.org/abs/1706.03762",
+  summary: "Introduces the Transformer, a network based solely on attention.",
+  details: ["Authors: Ashish Vaswani, Noam Shazeer et al.", "arXiv:1706.03762"],
+  meta: { byline: "Ashish Vaswani", published: "2017-06-12", readingTime: 14, siteName: "arXiv" },
+  project: "Reading",
+  tags: ["papers"],
+}
+
+async function loadTemplates() {
+  const {
+    titleTemplate = "",
+    noteTemplate = "",
+    projectTemplates: stored = [],
+  } = await chrome.storage.sync.get(["titleTemplate", "noteTemplate", "projectTemplates"])
+  titleTemplateEl.value = titleTemplate
+  noteTemplateEl.value = noteTemplate
+  projectTemplates = stored
+  renderProjectTemplates()
+}
+
+function scheduleTemplatesSave() {
+  clearTimeout(templatesSaveTimer)
+  templatesSaveTimer = setTimeout(async () => {
+    await chrome.storage.sync.set({
+      titleTemplate: titleTemplateEl.value.trim(),
+      noteTemplate: noteTemplateEl.value.trim(),
+      projectTemplates,
+    })
+    flash("Templates saved", true, templatesStatusEl)
+  }, 500)
+  renderTemplatePreview()
+}
+
+function renderProjectTemplates() {
+  projectTemplateListEl.innerHTML = ""
+  projectTemplates.forEach((entry, i) => {
+    const li = document.createElement("li")
+    li.className = "rule-item"
+    const error = document.createElement("div")
+    error.className = "rule-error"
+    const check = () => (error.textContent = templateProblem(entry.title) || templateProblem(entry.note))
+    const update = (key, value) => {
+      entry[key] = value
+      check()
+      scheduleTemplatesSave()
+    }
+
+    const project = ruleField(
+      "input",
+      { className: "field", value: entry.project || "", placeholder: "Project", title: "Project" },
+      (e) => update("project", e.target.value.trim()),
+    )
+    project.setAttribute("list", "ruleProjects")
+    const title = ruleField(
+      "input",
+      { className: "field grow", value: entry.title || "", placeholder: "Title template", spellcheck: false },
+      (e) => update("title", e.target.value),
+    )
+    const remove = document.createElement("button")
+    remove.type = "button"
+    remove.className = "btn-px"
+    remove.textContent = "Delete"
+    remove.addEventListener("click", () => {
+      projectTemplates.splice(i, 1)
+      renderProjectTemplates()
+      scheduleTemplatesSave()
+    })
+    const head = document.createElement("div")
+    head.className = "row"
+    head.append(project, title, remove)
+    const note = ruleField(
+      "textarea",
+      { value: entry.note || "", placeholder: "Note template", spellcheck: false },
+      (e) => update("note", e.target.value),
+    )
+
+    check()
+    li.append(head, note, error)
+    projectTemplateListEl.appendChild(li)
+  })
+  renderTemplatePreview()
+}
+
+function renderTemplatePreview() {
+  templateErrorEl.textContent = [templateProblem(titleTemplateEl.value), templateProblem(noteTemplateEl.value)]
+    .filter(Boolean)
+    .join(" · ")
+  const vars = templateVars(TEMPLATE_SAMPLE)
+  const title = renderTitleTemplate(titleTemplateEl.value.trim(), vars)
+  const note = renderTemplate(noteTemplateEl.value.trim(), vars)
+  templatePreviewEl.textContent = `${title}\n────\n${note}`
+}
+
+titleTemplateEl.addEventListener("input", scheduleTemplatesSave)
+noteTemplateEl.addEventListener("input", scheduleTemplatesSave)
+addProjectTemplateBtn.addEventListener("click", () => {
+  projectTemplates.push({ project: "", title: "", note: "" })
+  renderProjectTemplates()
+  projectTemplateListEl.lastElementChild?.querySelector("input")?.focus()
+})
+
+// ── capture rules ──
+// Edited in place; every change is saved (debounced) to sync as `captureRules`,
+// which rules.js applies in the popup, the shortcut and the context menu.
+async function loadRules() {
+  const { captureRules: stored = [], projects = [] } = await chrome.storage.sync.get(["captureRules", "projects"])
+  captureRules = stored
+  ruleProjectsEl.innerHTML = ""
+  for (const p of projects) ruleProjectsEl.appendChild(new Option(p, p))
+  renderRules()
+}
+
+function scheduleRulesSave() {
+  clearTimeout(rulesSaveTimer)
+  rulesSaveTimer = setTimeout(async () => {
+    await chrome.storage.sync.set({ captureRules })
+    flash(`Saved ${captureRules.length} rule${captureRules.length === 1 ? "" : "s"}`, true, rulesStatusEl)
+  }, 500)
+  renderRuleTest()
+}
+
+// Problems shown under a rule: a pattern that won't compile, an unreadable due phrase.
+function ruleProblem(rule) {
+  try {
+    compileRulePattern(rule)
+  } catch (err) {
+    return err.message
+  }
+  if (rule.due) {
+    const { error } = parseWhen(rule.due)
+    if (error) return `Due: ${error}`
+  }
+  const templateError = templateProblem(rule.title) || templateProblem(rule.note)
+  if (templateError) return `Template: ${templateError}`
+  return ""
+}
+
+const RULE_MATCH_LABELS = { url: "URL", host: "Host", title: "Title" }
+
+function parseTagList(text) {
+  return text
+    .split(",")
+    .map((t) => t.trim().replace(/^@/, ""))
+    .filter(Boolean)
+}
+
+function ruleField(tag, props, onInput) {
+  const el = document.createElement(tag)
+  Object.assign(el, props)
+  el.addEventListener(tag === "select" || props.type === "checkbox" ? "change" : "input", onInput)
+  return el
+}
+
+function renderRules() {
+  ruleListEl.innerHTML = ""
+  captureRules.forEach((rule, i) => {
+    const li = document.createElement("li")
+    li.className = "rule-item"
+    const error = document.createElement("div")
+    error.className = "rule-error"
+    error.textContent = ruleProblem(rule)
+    const update = (key, value) => {
+      rule[key] = value
+      error.textContent = ruleProblem(rule)
+      scheduleRulesSave()
+    }
+
+    const match = ruleField("select", { className: "field", title: "Match on" }, (e) => update("match", e.target.value))
+    for (const type of RULE_MATCH_TYPES) match.add(new Option(RULE_MATCH_LABELS[type], type))
+    match.value = rule.match
+    const pattern = ruleField(
+      "input",
+      { className: "field grow", value: rule.pattern || "", placeholder: "github.com/*/issues/*", spellcheck: false },
+      (e) => update("pattern", e.target.value.trim()),
+    )
+    // Reorder (delta ±1) or delete (delta null); order matters since the first match wins.
+    const moveButton = (label, delta, disabled = false) => {
+      const btn = document.createElement("button")
+      btn.type = "button"
+      btn.className = "btn-px"
+      btn.textContent = label
+      btn.disabled = disabled
+      btn.addEventListener("click", () => {
+        const [moved] = captureRules.splice(i, 1)
+        if (delta != null) captureRules.splice(i + delta, 0, moved)
+        renderRules()
+        scheduleRulesSave()
+      })
+      return btn
+    }
+    const head = document.createElement("div")
+    head.className = "row"
+    head.append(
+      match,
+      pattern,
+      moveButton("↑", -1, i === 0),
+      moveButton("↓", 1, i === captureRules.length - 1),
+      moveButton("Delete", null),
+    )
+
+    const project = ruleField(
+      "input",
+      { className: "field", value: rule.project || "", placeholder: "Project", title: "Project" },
+      (e) => update("project", e.target.value.trim()),
+    )
+    project.setAttribute("list", "ruleProjects")
+    const tags = ruleField(
+      "input",
+      { className: "field", value: (rule.tags || []).join(", "), placeholder: "tags, comma separated", title: "Tags" },
+      (e) => update("tags", parseTagList(e.target.value)),
+    )
+    const due = ruleField(
+      "input",
+      { className: "field", value: rule.due || "", placeholder: "Due, e.g. in 2 days", title: "Due" },
+      (e) => update("due", e.target.value.trim()),
+    )
+    const flagLabel = document.createElement("label")
+    flagLabel.className = "theme-opt"
+    const flag = ruleField("input", { type: "checkbox", checked: !!rule.flag }, (e) => update("flag", e.target.checked))
+    flagLabel.append(flag, "Flag")
+    const fields = document.createElement("div")
+    fields.className = "row"
+    fields.append(project, tags, due, flagLabel)
+
+    const title = ruleField(
+      "input",
+      { className: "field grow", value: rule.title || "", placeholder: "Title, e.g. [$1] {title}", title: "Title" },
+      (e) => update("title", e.target.value),
+    )
+    const titleRow = document.createElement("div")
+    titleRow.className = "row"
+    titleRow.append(title)
+    const note = ruleField(
+      "textarea",
+      { value: rule.note || "", placeholder: "Note template (optional), e.g. {{url}}\n{{summary}}", spellcheck: false },
+      (e) => update("note", e.target.value),
+    )
+
+    li.append(head, fields, titleRow, note, error)
+    ruleListEl.appendChild(li)
+  })
+  renderRuleTest()
+}
+
+function renderRuleTest() {
+  const url = ruleTestUrlEl.value.trim()
+  const title = ruleTestTitleEl.value.trim()
+  if (!url && !title) {
+    ruleTestResultEl.textContent = ""
+    return
+  }
+  const hit = applyCaptureRules(captureRules, { url, title })
+  if (!hit) {
+    ruleTestResultEl.textContent = "No rule matches"
+    return
+  }
+  const parts = [`Rule ${captureRules.indexOf(hit.rule) + 1}`, `title "${hit.title}"`, hit.project || "Inbox"]
+  if (hit.tags.length) parts.push(hit.tags.map((t) => `@${t}`).join(" "))
+  if (hit.flag) parts.push("⚑")
+  if (hit.due) parts.push(`due ${hit.due}`)
+  ruleTestResultEl.textContent = parts.join(" · ")
+}
+
+addRuleBtn.addEventListener("click", () => {
+  captureRules.push({ match: "url", pattern: "", project: "", tags: [], flag: false, due: "", title: "", note: "" })
+  renderRules()
+  ruleListEl.lastElementChild?.querySelector("input")?.focus()
+})
+ruleTestUrlEl.addEventListener("input", renderRuleTest)
+ruleTestTitleEl.addEventListener("input", renderRuleTest)
+
+// ── history ──
+// Written by background's recordHistory (chrome.storage.local, newest first).
+const HISTORY_DISPLAY_LIMIT = 200
+const CSV_COLUMNS = [
+  "savedAt",
+  "name",
+  "url",
+  "project",
+  "tags",
+  "flag",
+  "defer",
+  "due",
+  "estimate",
+  "repeatRule",
+  "repeatMethod",
+  "note",
+]
+
+let history = []
+
+async function loadHistory() {
+  const stored = await chrome.storage.local.get("history")
+  history = stored.history || []
+  fillFilter(historyProjectEl, "All projects", history.map((h) => h.project).filter(Boolean))
+  fillFilter(historyTagEl, "All tags", history.flatMap((h) => h.tags || []))
+  renderHistory()
+}
+
+function fillFilter(select, label, values) {
+  const current = select.value
+  select.innerHTML = ""
+  select.add(new Option(label, ""))
+  for (const v of [...new Set(values)].sort((a, b) => a.localeCompare(b))) select.add(new Option(v, v))
+  select.value = Array.from(select.options).some((o) => o.value === current) ? current : ""
+}
+
+function filteredHistory() {
+  const q = historySearchEl.value.trim().toLowerCase()
+  const project = historyProjectEl.value
+  const tag = historyTagEl.value
+  const from = historyFromEl.value ? new Date(`${historyFromEl.value}T00:00:00`).getTime() : -Infinity
+  const to = historyToEl.value ? new Date(`${historyToEl.value}T23:59:59.999`).getTime() : Infinity
+  return history.filter((h) => {
+    if (project && h.project !== project) return false
+    if (tag && !(h.tags || []).includes(tag)) return false
+    if (h.savedAt < from || h.savedAt > to) return false
+    if (q && ![h.name, h.note, h.url, ...(h.urls || [])].some((v) => (v || "").toLowerCase().includes(q))) return false
+    return true
+  })
+}
+
+function renderHistory() {
+  const items = filteredHistory()
+  historyListEl.innerHTML = ""
+  historyCountEl.textContent =
+    items.length > HISTORY_DISPLAY_LIMIT
+      ? `Showing ${HISTORY_DISPLAY_LIMIT} of ${items.length} matches`
+      : `${items.length} of ${history.length} saves`
+
+  for (const h of items.slice(0, HISTORY_DISPLAY_LIMIT)) {
+    const li = document.createElement("li")
+    li.className = "history-item"
+
+    // A batch saved as one action has no single page: `urls` lists its tabs, and
+    // the title opens all of them.
+    const urls = h.urls?.length ? h.urls : [h.url]
+    const title = document.createElement("a")
+    title.className = "h-title"
+    title.href = urls[0]
+    title.target = "_blank"
+    title.rel = "noopener"
+    title.textContent = h.name || urls[0]
+    title.title = urls.join("\n")
+    if (urls.length > 1) {
+      title.addEventListener("click", (e) => {
+        e.preventDefault()
+        for (const url of urls) chrome.tabs.create({ url, active: false })
+      })
+    }
+
+    const meta = document.createElement("div")
+    meta.className = "h-meta"
+    const parts = [new Date(h.savedAt).toLocaleString()]
+    parts.push(h.project || "Inbox")
+    if (urls.length > 1) parts.push(`${urls.length} tabs`)
+    if (h.tags?.length) parts.push(h.tags.map((t) => `@${t}`).join(" "))
+    if (h.defer) parts.push(`defer ${h.defer}`)
+    if (h.due) parts.push(`due ${h.due}`)
+    if (h.estimate) parts.push(`~${h.estimate}m`)
+    if (h.repeatRule) parts.push(`↻ ${h.repeatRule}`)
+    if (h.flag) parts.push("⚑")
+    meta.textContent = parts.join(" · ")
+
+    const actions = document.createElement("div")
+    actions.className = "h-actions"
+    const resend = document.createElement("button")
+    resend.type = "button"
+    resend.className = "btn-px"
+    resend.textContent = "Send again"
+    resend.addEventListener("click", () => resendHistoryItem(h.id))
+    const del = document.createElement("button")
+    del.type = "button"
+    del.className = "btn-px"
+    del.textContent = "Delete"
+    del.addEventListener("click", () => deleteHistory(h.id))
+    actions.append(resend, del)
+
+    li.append(title, actions, meta)
+    historyListEl.appendChild(li)
+  }
+}
+
+function resendHistoryItem(id) {
+  chrome.runtime.sendMessage({ action: "resendHistory", id }, (resp) => {
+    if (chrome.runtime.lastError) {
+      flash(chrome.runtime.lastError.message, false, historyStatusEl)
+      return
+    }
+    if (resp?.success) flash("Sent to OmniFocus", true, historyStatusEl)
+    else flash(resp?.error || "Send failed", false, historyStatusEl)
+  })
+}
+
+// Background does the write, in line with the saves appending to the list; the
+// storage listener re-renders. No id clears the whole history.
+function deleteHistory(id = null, done = () => {}) {
+  chrome.runtime.sendMessage({ action: "deleteHistory", id }, (resp) => {
+    if (chrome.runtime.lastError) {
+      flash(chrome.runtime.lastError.message, false, historyStatusEl)
+      return
+    }
+    if (resp?.success) done()
+    else flash(resp?.error || "Delete failed", false, historyStatusEl)
+  })
+}
+
+function csvCell(value) {
+  const s = value == null ? "" : String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function historyToCsv(items) {
+  const rows = items.map((h) =>
+    CSV_COLUMNS.map((col) => {
+      if (col === "savedAt") return csvCell(new Date(h.savedAt).toISOString())
+      if (col === "tags") return csvCell((h.tags || []).join(", "))
+      if (col === "url") return csvCell(h.url || (h.urls || []).join(" "))
+      return csvCell(h[col])
+    }).join(","),
+  )
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n")
+}
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement("a")
+  a.href = url
+  a.download = filename
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Exports follow the current search/filters, so "export everything" is just
+// exporting with the filters cleared.
+function exportHistory(format) {
+  const items = filteredHistory()
+  const stamp = new Date().toISOString().slice(0, 10)
+  if (format === "csv") download(`omnifocus-history-${stamp}.csv`, historyToCsv(items), "text/csv")
+  else download(`omnifocus-history-${stamp}.json`, JSON.stringify(items, null, 2), "application/json")
+  flash(`Exported ${items.length} saves`, true, historyStatusEl)
+}
+
+for (const el of [historySearchEl, historyProjectEl, historyTagEl, historyFromEl, historyToEl]) {
+  el.addEventListener("input", renderHistory)
+}
+exportJsonBtn.addEventListener("click", () => exportHistory("json"))
+exportCsvBtn.addEventListener("click", () => exportHistory("csv"))
+clearHistoryBtn.addEventListener("click", () => {
+  if (!confirm(`Delete all ${history.length} history entries?`)) return
+  deleteHistory(null, () => flash("History cleared", true, historyStatusEl))
+})
+
+// ── learning (learning.js) ──
+const LEARNED_DISPLAY_LIMIT = 100
+
+async function loadLearned() {
+  const { learnFiling = true } = await chrome.storage.sync.get("learnFiling")
+  const { [FILING_KEY]: filings = [] } = await chrome.storage.local.get(FILING_KEY)
+  learnFilingEl.checked = learnFiling
+  const hosts = learnedByHost(filings)
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`
+  learnedCountEl.textContent = filings.length
+    ? `${plural(filings.length, "choice")} on ${plural(hosts.length, "site")}`
+    : "Nothing learned yet"
+  learnedListEl.innerHTML = ""
+  const counted = (pairs, prefix = "") => pairs.map(([name, n]) => `${prefix}${name} ×${n}`).join(", ")
+  for (const h of hosts.slice(0, LEARNED_DISPLAY_LIMIT)) {
+    const li = document.createElement("li")
+    li.className = "history-item"
+
+    const title = document.createElement("div")
+    title.className = "h-title"
+    title.textContent = h.host || "(no host)"
+
+    const meta = document.createElement("div")
+    meta.className = "h-meta"
+    const parts = [`${h.count} save${h.count === 1 ? "" : "s"}`, counted(h.projects)]
+    if (h.tags.length) parts.push(counted(h.tags, "@"))
+    if (h.rejected.length) parts.push(`turned down ${counted(h.rejected)}`)
+    meta.textContent = parts.join(" · ")
+    meta.title = meta.textContent
+
+    const actions = document.createElement("div")
+    actions.className = "h-actions"
+    const forget = document.createElement("button")
+    forget.type = "button"
+    forget.className = "btn-px"
+    forget.textContent = "Forget"
+    forget.addEventListener("click", () => forgetLearned(h.host))
+    actions.append(forget)
+
+    li.append(title, actions, meta)
+    learnedListEl.appendChild(li)
+  }
+}
+
+// Background does the write, in line with saves adding examples; the storage
+// listener re-renders. A null host forgets everything.
+function forgetLearned(host) {
+  chrome.runtime.sendMessage({ action: "forgetFilings", host }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.success) {
+      flash(chrome.runtime.lastError?.message || resp?.error || "Couldn't forget", false, learnedStatusEl)
+      return
+    }
+    flash(host == null ? "Forgot everything" : `Forgot ${host || "pages without a host"}`, true, learnedStatusEl)
+  })
+}
+
+learnFilingEl.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ learnFiling: learnFilingEl.checked })
+  flash(learnFilingEl.checked ? "Learning on" : "Learning off (what was learned is kept)", true, learnedStatusEl)
+})
+clearLearnedBtn.addEventListener("click", () => {
+  if (!confirm("Forget every filing choice the suggestions have learned from?")) return
+  forgetLearned(null)
+})
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area === "local" && changes.history) loadHistory()
+  if (area === "local" && changes[FILING_KEY]) loadLearned()
+  const sync = area === "local" && changes[SYNC_STATUS_KEY]
+  if (!sync) return
+  renderSyncStatus()
+  // A background sync just landed: show the new lists and any renamed references.
+  if (sync.oldValue?.state === "waiting" && sync.newValue?.state === "ok") {
+    const { projects = [], tags = [] } = await chrome.storage.sync.get(["projects", "tags"])
+    projectsEl.value = projects.join("\n")
+    tagsEl.value = tags.join("\n")
+    await Promise.all([loadRules(), loadTemplates()])
+  }
+})
+
 load()
+loadTemplates()
+loadRules()
+loadHistory()
+loadLearned()
+renderSyncStatus()
+setInterval(renderSyncStatus, 60 * 1000)
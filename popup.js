@@ -2,6 +2,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   const titleEl = document.getElementById("title")
   const hostEl = document.getElementById("host")
   const pathEl = document.getElementById("path")
+  const scopeRow = document.getElementById("scopeRow")
+  const scopeSelect = document.getElementById("scope")
+  const batchModeSelect = document.getElementById("batchMode")
   const projectRow = document.getElementById("projectRow")
   const projectSelect = document.getElementById("project")
   const tagsRow = document.getElementById("tagsRow")
@@ -13,6 +16,14 @@ document.addEventListener("DOMContentLoaded", async () => {
   const noteLabelEl = document.getElementById("noteLabel")
   const noteLoadingEl = document.getElementById("noteLoading")
   const noteEl = document.getElementById("note")
+  const summaryTypeSelect = document.getElementById("summaryType")
+  const quoteToggle = document.getElementById("quoteToggle")
+  const quoteSelectionEl = document.getElementById("quoteSelection")
+  const noteBlockEl = document.getElementById("noteBlock")
+  const siteDetailsEl = document.getElementById("siteDetails")
+  const showPreviewEl = document.getElementById("showPreview")
+  const notePreviewEl = document.getElementById("notePreview")
+  const batchListEl = document.getElementById("batchList")
   const statusEl = document.getElementById("status")
   const saveBtn = document.getElementById("save")
   const saveLinkOnlyBtn = document.getElementById("saveLinkOnly")
@@ -20,7 +31,33 @@ document.addEventListener("DOMContentLoaded", async () => {
   const closeBox = document.getElementById("closeBox")
   const popOutBtn = document.getElementById("popOut")
   const openOptionsLink = document.getElementById("openOptions")
+  const openQueueLink = document.getElementById("openQueue")
+  const queuePanel = document.getElementById("queuePanel")
+  const queueListEl = document.getElementById("queueList")
+  const retryAllBtn = document.getElementById("retryAll")
+  const whenInput = document.getElementById("whenInput")
   const whenValEl = document.getElementById("whenVal")
+  const estimateInput = document.getElementById("estimate")
+  const repeatFreqSelect = document.getElementById("repeatFreq")
+  const repeatEveryEl = document.getElementById("repeatEvery")
+  const repeatIntervalInput = document.getElementById("repeatInterval")
+  const repeatDaysEl = document.getElementById("repeatDays")
+  const dayBtns = Array.from(document.querySelectorAll("button.day-toggle"))
+  const repeatRuleInput = document.getElementById("repeatRule")
+  const repeatMethodSelect = document.getElementById("repeatMethod")
+  const checklistToggle = document.getElementById("checklistToggle")
+  const checklistPanel = document.getElementById("checklistPanel")
+  const checklistItemsEl = document.getElementById("checklistItems")
+  const addChecklistItemBtn = document.getElementById("addChecklistItem")
+  const checklistTargetSelect = document.getElementById("checklistTarget")
+  const checklistSequentialEl = document.getElementById("checklistSequential")
+  const dupBanner = document.getElementById("dupBanner")
+  const dupTextEl = document.getElementById("dupText")
+  const dupSaveAnywayBtn = document.getElementById("dupSaveAnyway")
+  const dupCancelBtn = document.getElementById("dupCancel")
+  const staleBanner = document.getElementById("staleBanner")
+  const staleTextEl = document.getElementById("staleText")
+  const staleSyncBtn = document.getElementById("staleSync")
 
   // ── mode detection ──
   const params = new URLSearchParams(location.search)
@@ -65,12 +102,20 @@ document.addEventListener("DOMContentLoaded", async () => {
   document.body.dataset.theme = theme
 
   let currentTab = null
+  // Set once everything the templates read is in place; refreshTemplates is a
+  // no-op before that (early callbacks land while the popup is still loading).
+  let templatesReady = false
 
   // ── progress relay from offscreen during model download ──
   chrome.runtime.onMessage.addListener((msg) => {
     if (msg?.target !== "popup") return
     if (msg.action === "summarizerProgress") {
-      noteLabelEl.textContent = `Note · model dl ${msg.percent}%`
+      // Either a model download (percent) or a long page summarized in chunks.
+      noteLabelEl.textContent = msg.chunks
+        ? `Note · summarizing part ${msg.chunk}/${msg.chunks}`
+        : `Note · model dl ${msg.percent}%`
+    } else if (msg.action === "batchProgress") {
+      renderBatchProgress(msg)
     }
   })
 
@@ -88,13 +133,28 @@ document.addEventListener("DOMContentLoaded", async () => {
     tab = t
   }
   currentTab = tab
-  try {
-    const u = new URL(tab.url)
-    hostEl.textContent = u.host
-    pathEl.textContent = (u.pathname + u.search) || "/"
-  } catch {
-    hostEl.textContent = tab.url || "—"
-    pathEl.textContent = ""
+  // URL that goes into the note; replaced by background's cleaned version
+  // (redirects unwrapped, canonical, tracking params stripped) once it arrives.
+  let pageUrl = tab.url
+  showSource(pageUrl)
+
+  chrome.runtime.sendMessage({ action: "cleanUrl", tabId: tab.id }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.success || !resp.url) return
+    pageUrl = resp.url
+    showSource(pageUrl)
+    pathEl.title = pageUrl !== tab.url ? `Cleaned from ${tab.url}` : ""
+    refreshTemplates()
+  })
+
+  function showSource(url) {
+    try {
+      const u = new URL(url)
+      hostEl.textContent = u.host
+      pathEl.textContent = (u.pathname + u.search) || "/"
+    } catch {
+      hostEl.textContent = url || "—"
+      pathEl.textContent = ""
+    }
   }
 
   // ── title autofill ──
@@ -102,111 +162,464 @@ document.addEventListener("DOMContentLoaded", async () => {
   autoSizeTextarea(titleEl)
   titleEl.addEventListener("input", () => autoSizeTextarea(titleEl))
 
+  // ── batch scope: selected tabs / tab group / whole window ──
+  // Counts mirror background's queryBatchTabs, which only keeps http(s) pages.
+  const windowTabs = (await chrome.tabs.query({ windowId: tab.windowId })).filter((t) =>
+    /^https?:\/\//i.test(t.url || ""),
+  )
+  const selectedCount = windowTabs.filter((t) => t.highlighted).length
+  const inGroup = tab.groupId != null && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE
+  const groupCount = inGroup ? windowTabs.filter((t) => t.groupId === tab.groupId).length : 0
+  let groupTitle = ""
+  if (inGroup) {
+    try {
+      groupTitle = (await chrome.tabGroups.get(tab.groupId)).title || ""
+    } catch {}
+  }
+  const batchTitles = {
+    tab: tab.title || "",
+    selected: `${selectedCount} saved tabs`,
+    group: groupTitle ? `Tab group: ${groupTitle}` : `${groupCount} saved tabs`,
+    window: `${windowTabs.length} saved tabs`,
+  }
+
+  if (selectedCount > 1) addScopeOption("selected", `Selected tabs (${selectedCount})`)
+  if (groupCount > 1) addScopeOption("group", `Tab group${groupTitle ? ` · ${groupTitle}` : ""} (${groupCount})`)
+  if (windowTabs.length > 1) addScopeOption("window", `Whole window (${windowTabs.length})`)
+
+  function addScopeOption(value, label) {
+    const opt = document.createElement("option")
+    opt.value = value
+    opt.textContent = label
+    scopeSelect.appendChild(opt)
+    scopeRow.classList.remove("hidden")
+  }
+
+  // The title field only means something for a single tab or the parent action
+  // of a "single" batch; refill it as the scope changes unless the user edited it.
+  let autoTitle = titleEl.value
+  function applyScope() {
+    const scope = scopeSelect.value
+    const batch = scope !== "tab"
+    const perTab = batch && batchModeSelect.value === "each"
+    batchModeSelect.classList.toggle("hidden", !batch)
+    noteBlockEl.classList.toggle("hidden", batch)
+    titleEl.disabled = perTab
+    titleEl.placeholder = perTab ? "Each tab keeps its own title" : "Title…"
+    const next = perTab ? "" : batchTitles[scope]
+    if (titleEl.value === autoTitle) titleEl.value = next
+    autoTitle = next
+    autoSizeTextarea(titleEl)
+  }
+  scopeSelect.addEventListener("change", applyScope)
+  batchModeSelect.addEventListener("change", applyScope)
+
   // ── projects + tags from settings ──
-  const { projects = [], tags = [], suggestMeta = true } = await chrome.storage.sync.get([
+  const {
+    projects = [],
+    tags = [],
+    suggestMeta = true,
+    suggestMinConfidence = 0,
+    suggestAutoApply = 0,
+    titleTemplate = "",
+    noteTemplate = "",
+    projectTemplates = [],
+  } = await chrome.storage.sync.get([
     "projects",
     "tags",
     "suggestMeta",
+    "suggestMinConfidence",
+    "suggestAutoApply",
+    "titleTemplate",
+    "noteTemplate",
+    "projectTemplates",
   ])
+  const templateSettings = { titleTemplate, noteTemplate, projectTemplates }
 
-  if (projects.length) {
+  // Projects synced from OmniFocus carry their id, folder path, status and tags
+  // (Settings → Projects). Those on hold, completed or dropped are left out and
+  // the rest are grouped by folder; names typed in by hand come first. Options
+  // keep the id, so same-named projects in different folders file correctly.
+  const { ofProjects = [] } = await chrome.storage.local.get("ofProjects")
+  const syncedProjects = new Map()
+  for (const p of ofProjects) syncedProjects.set(p.name, [...(syncedProjects.get(p.name) || []), p])
+  const projectGroups = new Map([["", []]])
+  for (const name of projects) {
+    const synced = syncedProjects.get(name)
+    if (!synced) {
+      projectGroups.get("").push({ name, id: "" })
+      continue
+    }
+    for (const p of synced) {
+      if (p.status !== "active") continue
+      const folder = p.path.join(" : ")
+      if (!projectGroups.has(folder)) projectGroups.set(folder, [])
+      if (!projectGroups.get(folder).some((e) => e.id === p.id)) projectGroups.get(folder).push({ name, id: p.id })
+    }
+  }
+  const activeProjects = [...new Set([...projectGroups.values()].flat().map((e) => e.name))]
+
+  if (activeProjects.length) {
     projectRow.classList.remove("hidden")
-    for (const p of projects) {
-      const opt = document.createElement("option")
-      opt.value = p
-      opt.textContent = p
-      projectSelect.appendChild(opt)
+    for (const [folder, entries] of projectGroups) {
+      if (!entries.length) continue
+      const group = folder ? document.createElement("optgroup") : projectSelect
+      if (folder) {
+        group.label = folder
+        projectSelect.appendChild(group)
+      }
+      for (const { name, id } of entries) {
+        const opt = new Option(name, name)
+        opt.dataset.id = id
+        group.appendChild(opt)
+      }
     }
     // Leave default at the empty "— Inbox —" option so unset = inbox.
   }
 
-  // ── tags: chips for picked + Add dropdown for the rest ──
+  // ── project picker: type-ahead over the hidden <select>, which stays the
+  // source of truth (value, option id, change events) for everything else ──
+  const projectInput = document.getElementById("projectInput")
+  const { history: savedHistory = [] } = await chrome.storage.local.get("history")
+  const projectUsage = comboUsage(savedHistory, (e) => [e.project])
+  const tagUsage = comboUsage(savedHistory, (e) => e.tags)
+
+  function showProject() {
+    projectInput.value = projectSelect.value ? projectSelect.selectedOptions[0].textContent : ""
+  }
+
+  attachCombobox({
+    input: projectInput,
+    list: document.getElementById("projectList"),
+    items: () =>
+      [...projectSelect.options].map((o) => ({
+        value: o.value,
+        index: o.index,
+        label: o.textContent,
+        path: o.parentElement.tagName === "OPTGROUP" ? o.parentElement.label : "",
+        usage: projectUsage.get(o.value),
+      })),
+    onPick: (item) => {
+      projectSelect.selectedIndex = item.index
+      showProject()
+      projectSelect.dispatchEvent(new Event("change"))
+    },
+  })
+  // Typed but not picked: show the project that's actually set again.
+  projectInput.addEventListener("blur", showProject)
+
+  // ── tags: chips for picked + type-ahead for the rest ──
+  // A name that isn't one of the synced / configured tags can be added too; its
+  // chip is marked "(new)" as it isn't in OmniFocus yet.
   const availableTags = tags
   let pickedTags = []
+  const newTags = new Set()
   const tagAddEl = document.getElementById("tagAdd")
+  // Parent path per tag, unless its label already carries it ("Work : Errands").
+  const { ofTags = [] } = await chrome.storage.local.get("ofTags")
+  const tagPaths = new Map(
+    ofTags.map((t) => [t.label || t.name, (t.label || t.name) === t.name ? t.path.join(" : ") : ""]),
+  )
 
   if (availableTags.length) {
     tagsRow.classList.remove("hidden")
     renderTagPicker()
   }
 
+  function addTag(t, isNew = false) {
+    if (pickedTags.includes(t)) return
+    pickedTags.push(t)
+    if (isNew) newTags.add(t)
+    renderTagPicker()
+  }
+
+  function removeTag(t) {
+    pickedTags = pickedTags.filter((x) => x !== t)
+    newTags.delete(t)
+    renderTagPicker()
+  }
+
+  attachCombobox({
+    input: tagAddEl,
+    list: document.getElementById("tagList"),
+    items: () =>
+      availableTags
+        .filter((t) => !pickedTags.includes(t))
+        .map((t) => ({ value: t, label: t, path: tagPaths.get(t) || "", usage: tagUsage.get(t) })),
+    allowNew: true,
+    newLabel: (v) => `+ new tag "${v}" — not in OmniFocus yet`,
+    isKnown: (v) => [...availableTags, ...pickedTags].some((t) => t.toLowerCase() === v.toLowerCase()),
+    keepOpen: true,
+    commitOnComma: true,
+    onPick: (item) => {
+      tagAddEl.value = ""
+      addTag(item.value, !!item.isNew)
+    },
+    onBackspace: () => {
+      if (pickedTags.length) removeTag(pickedTags[pickedTags.length - 1])
+    },
+  })
+
   function renderTagPicker() {
     // Strip existing chips, keep the select
     Array.from(tagsContainer.querySelectorAll("button.tag")).forEach((c) => c.remove())
 
-    // Insert chips for picked tags (before the select)
+    // Insert chips for picked tags (before the input)
     for (const t of pickedTags) {
       const chip = document.createElement("button")
       chip.type = "button"
-      chip.className = "tag on"
+      chip.className = newTags.has(t) ? "tag on new" : "tag on"
       chip.textContent = t
-      chip.title = "Click to remove"
-      chip.addEventListener("click", () => {
-        pickedTags = pickedTags.filter((x) => x !== t)
-        renderTagPicker()
-      })
+      chip.title = newTags.has(t) ? "Not in OmniFocus yet — click to remove" : "Click to remove"
+      chip.addEventListener("click", () => removeTag(t))
       tagsContainer.insertBefore(chip, tagAddEl)
     }
-
-    // Rebuild dropdown options with the remaining tags
-    tagAddEl.innerHTML = ""
-    const placeholder = document.createElement("option")
-    placeholder.value = ""
-    placeholder.textContent = pickedTags.length === 0 ? "Add tag…" : "+ Add"
-    tagAddEl.appendChild(placeholder)
-    for (const t of availableTags) {
-      if (pickedTags.includes(t)) continue
-      const opt = document.createElement("option")
-      opt.value = t
-      opt.textContent = t
-      tagAddEl.appendChild(opt)
-    }
-    tagAddEl.value = ""
-
-    // Hide the dropdown if every tag is already picked
-    tagAddEl.style.display = pickedTags.length < availableTags.length ? "" : "none"
+    tagAddEl.placeholder = pickedTags.length === 0 ? "Add tag…" : "+ Add"
+    refreshTemplates()
   }
 
-  tagAddEl.addEventListener("change", (e) => {
-    const t = e.target.value
-    if (!t) return
-    pickedTags.push(t)
-    renderTagPicker()
-  })
-
   // ── flag toggle ──
   flagBtn.addEventListener("click", () => {
     flagBtn.classList.toggle("on")
     updateWhenRow()
   })
 
-  // ── due-date single-select ──
+  // ── when: free text, parsed by dates.js ──
+  // The presets are shortcuts that fill the field; typing a phrase that matches
+  // one lights it up.
+  const { weekStart = 1, workdayEnd = "17:00" } = await chrome.storage.sync.get(["weekStart", "workdayEnd"])
+  const PRESET_PHRASES = { today: "today", tomorrow: "tomorrow", week: "in 1 week" }
+  let when = parseWhen("")
+
   dueBtns.forEach((btn) => {
     btn.addEventListener("click", () => {
       const wasOn = btn.classList.contains("on")
-      dueBtns.forEach((b) => b.classList.remove("on"))
-      if (!wasOn) btn.classList.add("on")
+      whenInput.value = wasOn ? "" : PRESET_PHRASES[btn.dataset.due]
       updateWhenRow()
     })
   })
 
+  whenInput.addEventListener("input", updateWhenRow)
+
   function updateWhenRow() {
-    const due = selectedDue()
+    const text = whenInput.value.trim().toLowerCase()
+    when = parseWhen(text, { weekStart, workdayEnd })
+    dueBtns.forEach((b) => b.classList.toggle("on", PRESET_PHRASES[b.dataset.due] === text))
+
     const flagged = flagBtn.classList.contains("on")
-    if (!due && !flagged) {
+    whenValEl.textContent = ""
+    if (when.error) {
+      const err = document.createElement("span")
+      err.className = "when-error"
+      err.textContent = when.error
+      whenValEl.appendChild(err)
+      return
+    }
+    if (!when.due && !when.defer && !flagged) {
       whenValEl.innerHTML = '<span class="placeholder">unscheduled</span>'
       return
     }
-    const parts = []
-    if (due) {
-      parts.push(`<span class="date"><span class="lbl-inline">due</span>${due}</span>`)
+    for (const kind of ["defer", "due"]) {
+      if (!when[kind]) continue
+      const span = document.createElement("span")
+      span.className = "date"
+      span.innerHTML = `<span class="lbl-inline">${kind}</span>`
+      span.append(describeWhen(when[kind]))
+      whenValEl.appendChild(span)
     }
     if (flagged) {
-      parts.push('<span class="flag-on">⚑ flagged</span>')
+      whenValEl.insertAdjacentHTML("beforeend", '<span class="flag-on">⚑ flagged</span>')
     }
-    whenValEl.innerHTML = parts.join("")
   }
 
+  // ── estimate ──
+  // "30", "30m", "45 min", "1h", "1.5h", "1h30", "2 hours" → minutes; NaN when unreadable.
+  function parseEstimate(text) {
+    const t = text.trim().toLowerCase()
+    if (!t) return null
+    const m = t.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*(?:m|mins?|minutes?)?)?$/)
+    if (!m || (!m[1] && !m[2])) return NaN
+    return Math.round(Number(m[1] || 0) * 60 + Number(m[2] || 0))
+  }
+
+  function estimateMinutes() {
+    const minutes = parseEstimate(estimateInput.value)
+    if (minutes === null) return null
+    if (!Number.isInteger(minutes) || minutes < 1) throw new Error(`Can't read estimate "${estimateInput.value}"`)
+    return minutes
+  }
+
+  estimateInput.addEventListener("input", () => {
+    const minutes = parseEstimate(estimateInput.value)
+    estimateInput.classList.toggle("invalid", minutes !== null && !(minutes >= 1))
+  })
+
+  // ── repeat ──
+  // Frequency + interval (+ weekdays for weekly) become an RRULE; "custom rule…"
+  // takes one as typed. Background validates either before saving.
+  function updateRepeatRow() {
+    const freq = repeatFreqSelect.value
+    repeatEveryEl.classList.toggle("hidden", !freq || freq === "custom")
+    repeatDaysEl.classList.toggle("hidden", freq !== "WEEKLY")
+    repeatRuleInput.classList.toggle("hidden", freq !== "custom")
+    repeatMethodSelect.classList.toggle("hidden", !freq)
+    if (freq === "custom") repeatRuleInput.focus()
+  }
+
+  function repeatRule() {
+    const freq = repeatFreqSelect.value
+    if (!freq) return null
+    if (freq === "custom") return repeatRuleInput.value.trim().toUpperCase().replace(/^RRULE:/, "") || null
+    const interval = Number(repeatIntervalInput.value)
+    if (!Number.isInteger(interval) || interval < 1) throw new Error("Repeat interval must be a whole number")
+    const parts = [`FREQ=${freq}`]
+    if (interval > 1) parts.push(`INTERVAL=${interval}`)
+    const days = dayBtns.filter((b) => b.classList.contains("on")).map((b) => b.dataset.day)
+    if (freq === "WEEKLY" && days.length) parts.push(`BYDAY=${days.join(",")}`)
+    return parts.join(";")
+  }
+
+  repeatFreqSelect.addEventListener("change", updateRepeatRow)
+  dayBtns.forEach((btn) => btn.addEventListener("click", () => btn.classList.toggle("on")))
+
+  // Estimate + repeat for the save message; throws on a value that can't be read.
+  function extraTaskFields() {
+    const rule = repeatRule()
+    return {
+      estimate: estimateMinutes(),
+      repeatRule: rule,
+      repeatMethod: rule ? repeatMethodSelect.value : null,
+    }
+  }
+
+  // ── checklist mode ──
+  // The page becomes a parent (a new project or an inbox group) with several
+  // actions under it, pre-filled from the best-matching per-site template.
+  const { checklistTemplates = [] } = await chrome.storage.sync.get(["checklistTemplates"])
+  let checklistOn = false
+
+  // Settings text → [{ host, actions: [{ name, tags, when }] }]. A "host:" line
+  // ("*:" matches any site) starts a template; "- name @tag [when]" adds an action.
+  function parseChecklistTemplates(lines) {
+    const templates = []
+    let current = null
+    for (const line of lines) {
+      const header = line.match(/^([^\s:]+):$/)
+      if (header) {
+        current = { host: header[1].toLowerCase().replace(/^www\./, ""), actions: [] }
+        templates.push(current)
+        continue
+      }
+      const item = line.match(/^-\s+(.+)$/)
+      if (!item || !current) continue
+      let whenText = ""
+      const tags = []
+      const name = item[1]
+        .replace(/\[([^\]]*)\]/, (_, w) => ((whenText = w.trim()), ""))
+        .replace(/(^|\s)@(\S+)/g, (_, space, tag) => (tags.push(tag), space))
+        .trim()
+      if (name) current.actions.push({ name, tags, when: whenText })
+    }
+    return templates
+  }
+
+  // Most specific host wins; "*" only when nothing else matches.
+  function templateFor(url) {
+    let host = ""
+    try {
+      host = new URL(url).hostname.toLowerCase().replace(/^www\./, "")
+    } catch {}
+    const rank = (t) => (t.host === "*" ? 0 : t.host.length)
+    const matches = parseChecklistTemplates(checklistTemplates)
+      .filter((t) => t.host === "*" || host === t.host || host.endsWith(`.${t.host}`))
+      .sort((a, b) => rank(b) - rank(a))
+    return matches[0]?.actions || []
+  }
+
+  function checklistInput(className, placeholder, value) {
+    const input = document.createElement("input")
+    input.type = "text"
+    input.className = `meta-input ${className}`
+    input.placeholder = placeholder
+    input.value = value
+    input.spellcheck = false
+    return input
+  }
+
+  function addChecklistItem({ name = "", tags = [], when: whenText = "" } = {}) {
+    const pageTitle = titleEl.value.trim() || currentTab.title || ""
+    const li = document.createElement("li")
+    const nameInput = checklistInput("ck-name", "Action…", name.replace(/\{title\}/g, pageTitle))
+    const meta = document.createElement("div")
+    meta.className = "ck-meta"
+    const tagsInput = checklistInput("ck-tags", "tags, comma separated", tags.join(", "))
+    const whenItemInput = checklistInput("ck-when", "when", whenText)
+    meta.append(tagsInput, whenItemInput)
+    const preview = document.createElement("div")
+    preview.className = "ck-when-val"
+    const remove = document.createElement("button")
+    remove.type = "button"
+    remove.className = "ck-remove"
+    remove.textContent = "×"
+    remove.title = "Remove this action"
+    remove.addEventListener("click", () => li.remove())
+    li.append(nameInput, remove, meta, preview)
+    checklistItemsEl.appendChild(li)
+
+    const updatePreview = () => {
+      const parsed = parseWhen(whenItemInput.value, { weekStart, workdayEnd })
+      preview.classList.toggle("error", !!parsed.error)
+      preview.textContent =
+        parsed.error ||
+        ["defer", "due"]
+          .filter((kind) => parsed[kind])
+          .map((kind) => `${kind} ${describeWhen(parsed[kind])}`)
+          .join(" · ")
+    }
+    whenItemInput.addEventListener("input", updatePreview)
+    updatePreview()
+    return nameInput
+  }
+
+  // Actions as sent to background; throws naming the first unreadable one.
+  function checklistActions() {
+    return Array.from(checklistItemsEl.children)
+      .map((li, i) => {
+        const [nameInput, tagsInput, whenItemInput] = li.querySelectorAll("input")
+        const parsed = parseWhen(whenItemInput.value, { weekStart, workdayEnd })
+        if (parsed.error) throw new Error(`Action ${i + 1}: ${parsed.error}`)
+        return {
+          name: nameInput.value.trim(),
+          tags: tagsInput.value
+            .split(",")
+            .map((t) => t.trim().replace(/^@/, ""))
+            .filter(Boolean),
+          due: formatOmniFocusDate(parsed.due),
+          defer: formatOmniFocusDate(parsed.defer),
+        }
+      })
+      .filter((a) => a.name)
+  }
+
+  checklistToggle.addEventListener("click", () => {
+    checklistOn = !checklistOn
+    checklistToggle.classList.toggle("on", checklistOn)
+    document.body.classList.toggle("checklist-mode", checklistOn)
+    checklistPanel.classList.toggle("hidden", !checklistOn)
+    if (!checklistOn) return
+    if (scopeSelect.value !== "tab") {
+      scopeSelect.value = "tab"
+      applyScope()
+    }
+    if (!checklistItemsEl.children.length) {
+      const actions = templateFor(currentTab.url)
+      if (actions.length) actions.forEach((a) => addChecklistItem(a))
+      else addChecklistItem().focus()
+    }
+  })
+
+  addChecklistItemBtn.addEventListener("click", () => addChecklistItem().focus())
+
   // ── settings link ──
   openOptionsLink.addEventListener("click", (e) => {
     e.preventDefault()
@@ -219,28 +632,416 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (chrome.runtime.lastError) return // ignore — we'll see the result via summarize
   })
 
-  chrome.runtime.sendMessage({ action: "summarize", tabId: tab.id }, (resp) => {
-    revealNoteEditor()
-    if (chrome.runtime.lastError) {
-      noteLabelEl.textContent = "note"
-      return
+  // Highlighted text on the page (background summarizes it instead of the page)
+  // and the #:~:text= link back to it; quoted into the note when toggled on.
+  let selectionQuote = null
+  const { quoteSelection = true } = await chrome.storage.sync.get(["quoteSelection"])
+  quoteSelectionEl.checked = quoteSelection
+
+  // Re-requested when the per-save style override changes; a newer request
+  // makes any older in-flight response stale.
+  let summaryRequest = 0
+  function requestSummary() {
+    const requestId = ++summaryRequest
+    const style = summaryTypeSelect.value ? { type: summaryTypeSelect.value } : null
+    chrome.runtime.sendMessage({ action: "summarize", tabId: tab.id, style }, (resp) => {
+      if (requestId !== summaryRequest) return
+      revealNoteEditor()
+      if (chrome.runtime.lastError) {
+        noteLabelEl.textContent = "note"
+        return
+      }
+      if (resp?.success) {
+        noteEl.value = resp.summary || ""
+        autoSizeTextarea(noteEl)
+        const fromSelection = resp.source === "selection"
+        selectionQuote = fromSelection ? { text: resp.selection, url: resp.fragmentUrl } : null
+        refreshTemplates()
+        quoteToggle.classList.toggle("hidden", !fromSelection)
+        const kind = resp.extractive ? "key sentences" : "summary"
+        if (fromSelection) noteLabelEl.textContent = resp.summary ? `Note · selection ${kind}` : "Note · selection"
+        else noteLabelEl.textContent = resp.summary ? `Note · ${kind}` : "Note"
+      } else {
+        noteLabelEl.textContent = `Note · ${resp?.error || "ai unavailable"}`
+      }
+    })
+  }
+  requestSummary()
+
+  summaryTypeSelect.addEventListener("change", () => {
+    noteEl.hidden = true
+    noteLoadingEl.style.display = ""
+    noteLabelEl.textContent = "Note · summary"
+    requestSummary()
+  })
+
+  noteEl.addEventListener("input", () => {
+    autoSizeTextarea(noteEl)
+    refreshTemplates()
+  })
+
+  // ── already captured? (background compares normalized + canonical URLs) ──
+  chrome.runtime.sendMessage({ action: "findDuplicate", tabId: tab.id }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.success || !resp.duplicate) return
+    const { daysAgo, project } = resp.duplicate
+    const when = daysAgo === 0 ? "today" : daysAgo === 1 ? "yesterday" : `${daysAgo} days ago`
+    dupTextEl.textContent = `Saved ${when} to ${project || "Inbox"}`
+    dupTextEl.title = resp.duplicate.name || ""
+    dupBanner.classList.remove("hidden")
+  })
+
+  dupSaveAnywayBtn.addEventListener("click", () => {
+    dupBanner.classList.add("hidden")
+    send(true)
+  })
+  dupCancelBtn.addEventListener("click", closeMe)
+
+  // ── stale project / tag lists (Settings → Background sync) ──
+  const { [SYNC_STATUS_KEY]: syncStatus } = await chrome.storage.local.get(SYNC_STATUS_KEY)
+  const { autoSyncMinutes = 0 } = await chrome.storage.sync.get(["autoSyncMinutes"])
+  if (syncIsStale(syncStatus, autoSyncMinutes)) {
+    staleTextEl.textContent = `Projects and tags last synced ${syncAgo(lastSyncedAt(syncStatus))}`
+    if (syncState(syncStatus) === "failed") staleTextEl.title = `Last sync failed: ${syncStatus.error || "no answer"}`
+    staleBanner.classList.remove("hidden")
+  }
+  staleSyncBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "syncNow" }, (resp) => {
+      if (chrome.runtime.lastError || !resp?.success) {
+        staleTextEl.textContent = `Couldn't start the sync: ${resp?.error || chrome.runtime.lastError?.message}`
+      } else {
+        staleBanner.classList.add("hidden")
+      }
+    })
+  })
+
+  // ── capture rules: pre-fill from the first matching rule in Settings ──
+  // A rule that routes the page (project or tags) takes the place of AI suggestions.
+  const { captureRules = [] } = await chrome.storage.sync.get(["captureRules"])
+  const ruleHit = applyCaptureRules(captureRules, { url: tab.url, title: tab.title || "" })
+  if (ruleHit) {
+    if (ruleHit.project) {
+      if (!activeProjects.includes(ruleHit.project)) projectSelect.add(new Option(ruleHit.project, ruleHit.project))
+      projectRow.classList.remove("hidden")
+      projectSelect.value = ruleHit.project
+      showProject()
     }
-    if (resp?.success) {
-      noteEl.value = resp.summary || ""
-      autoSizeTextarea(noteEl)
-      noteLabelEl.textContent = resp.summary ? "Note · summary" : "Note"
-    } else {
-      noteLabelEl.textContent = `Note · ${resp?.error || "ai unavailable"}`
+    if (ruleHit.tags.length) {
+      for (const t of ruleHit.tags) if (!pickedTags.includes(t)) pickedTags.push(t)
+      tagsRow.classList.remove("hidden")
+      renderTagPicker()
     }
+    if (ruleHit.flag) flagBtn.classList.add("on")
+    if (ruleHit.due) whenInput.value = ruleHit.due
+    updateWhenRow()
+  }
+  const ruleRouted = !!(ruleHit?.project || ruleHit?.tags.length)
+
+  // ── site extractor: better title, detail lines and link on known sites ──
+  let siteInfo = null
+  let pageMeta = {}
+  chrome.runtime.sendMessage({ action: "siteInfo", tabId: tab.id }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.success) return
+    siteInfo = resp.site
+    pageMeta = resp.meta || {}
+    if (siteInfo?.details?.length) {
+      siteDetailsEl.textContent = siteInfo.details.join("\n")
+      siteDetailsEl.classList.remove("hidden")
+    }
+    refreshTemplates()
   })
 
-  noteEl.addEventListener("input", () => autoSizeTextarea(noteEl))
+  // ── title / note templates (templates.js, same engine as direct add) ──
+  // The title field follows the template until the user edits it; the preview
+  // shows the note exactly as it will be sent.
+  function templateVarsNow() {
+    return templateVars({
+      title: siteInfo?.title || tab.title || "",
+      url: siteInfo?.link || pageUrl,
+      summary: noteEl.value.trim(),
+      selection: selectionQuote?.text,
+      quote: selectionQuote && quoteSelectionEl.checked ? formatQuote(selectionQuote) : "",
+      details: siteInfo?.details,
+      meta: pageMeta,
+      site: siteInfo?.name,
+      project: projectSelect.value,
+      tags: selectedTags(),
+    })
+  }
+
+  function refreshTemplates() {
+    if (!templatesReady) return
+    const { title } = pickTemplates(templateSettings, { project: projectSelect.value, ruleHit })
+    const next = fillTitleCaptures(renderTitleTemplate(title, templateVarsNow()), ruleHit?.captures) || tab.title || ""
+    if (scopeSelect.value === "tab") {
+      if (titleEl.value === autoTitle) {
+        titleEl.value = next
+        autoSizeTextarea(titleEl)
+      }
+      autoTitle = next
+    }
+    batchTitles.tab = next
+    if (showPreviewEl.checked) notePreviewEl.textContent = composeNote(true)
+  }
 
-  // ── AI project/tag suggestions (parallel with summary; never auto-applies) ──
-  if (suggestMeta && (projects.length || availableTags.length)) {
+  showPreviewEl.addEventListener("change", () => {
+    notePreviewEl.classList.toggle("hidden", !showPreviewEl.checked)
+    refreshTemplates()
+  })
+  quoteSelectionEl.addEventListener("change", refreshTemplates)
+  projectSelect.addEventListener("change", () => {
+    showProject()
+    refreshTemplates()
+    // The synced project's own tags, offered (not applied) like AI suggestions.
+    const id = projectSelect.selectedOptions[0]?.dataset.id
+    const synced = (syncedProjects.get(projectSelect.value) || []).filter((p) => id && p.id === id)
+    offerTags(synced.flatMap((p) => p.tags || []))
+  })
+  templatesReady = true
+  refreshTemplates()
+
+  // ── AI project/tag suggestions (parallel with summary; only applied above
+  // Settings' auto-apply level) ──
+  let suggested = { project: "", tags: [] }
+  if (suggestMeta && !ruleRouted && (activeProjects.length || availableTags.length)) {
     chrome.runtime.sendMessage({ action: "suggestMeta", tabId: tab.id }, (resp) => {
       if (chrome.runtime.lastError || !resp?.success) return // silent degrade, like summary
-      renderSuggestions(resp.project, resp.tags)
+      renderSuggestions(resp.project, resp.tags, resp.scores)
+    })
+  }
+
+  // ── suggested task title (Settings → "Task titles"; background answers with
+  // an empty title when it's off) ──
+  // Shown under the title field with Use / Revert. Use remembers what the field
+  // held so Revert can put it back; an AI title is asked for again when the
+  // project changes, since the project can change the wording.
+  const titleSuggestEl = document.getElementById("titleSuggest")
+  const titleSuggestSourceEl = document.getElementById("titleSuggestSource")
+  const titleSuggestTextEl = document.getElementById("titleSuggestText")
+  const titleAcceptBtn = document.getElementById("titleAccept")
+  const titleRevertBtn = document.getElementById("titleRevert")
+  let titleSuggestion = { title: "", source: "" }
+  let titleBeforeAccept = null
+  let titleRequest = 0
+
+  function requestTitle() {
+    const requestId = ++titleRequest
+    chrome.runtime.sendMessage({ action: "suggestTitle", tabId: tab.id, project: projectSelect.value }, (resp) => {
+      if (requestId !== titleRequest) return
+      if (chrome.runtime.lastError || !resp?.success || !resp.title) return
+      const accepted = titleBeforeAccept != null && titleEl.value === titleSuggestion.title
+      titleSuggestion = { title: resp.title, source: resp.source }
+      titleSuggestSourceEl.textContent = resp.source === "ai" ? "ai" : "tidy"
+      titleSuggestTextEl.textContent = resp.title
+      titleSuggestTextEl.title = resp.title
+      if (accepted) {
+        titleEl.value = resp.title
+        autoSizeTextarea(titleEl)
+      }
+      showTitleSuggestion()
+    })
+  }
+
+  function showTitleSuggestion() {
+    if (titleBeforeAccept != null && titleEl.value !== titleSuggestion.title) titleBeforeAccept = null // edited since
+    const accepted = titleBeforeAccept != null
+    const same = !accepted && titleEl.value.trim() === titleSuggestion.title
+    titleSuggestEl.classList.toggle("hidden", !titleSuggestion.title || scopeSelect.value !== "tab" || same)
+    titleAcceptBtn.classList.toggle("hidden", accepted)
+    titleRevertBtn.classList.toggle("hidden", !accepted)
+  }
+
+  titleAcceptBtn.addEventListener("click", () => {
+    titleBeforeAccept = titleEl.value
+    titleEl.value = titleSuggestion.title
+    autoSizeTextarea(titleEl)
+    showTitleSuggestion()
+  })
+  titleRevertBtn.addEventListener("click", () => {
+    titleEl.value = titleBeforeAccept
+    titleBeforeAccept = null
+    autoSizeTextarea(titleEl)
+    showTitleSuggestion()
+  })
+  titleEl.addEventListener("input", showTitleSuggestion)
+  scopeSelect.addEventListener("change", showTitleSuggestion)
+  projectSelect.addEventListener("change", () => {
+    if (titleSuggestion.source === "ai") requestTitle()
+  })
+  requestTitle()
+
+  // ── due / defer / flag suggestions from the page (deadlines.js) ──
+  // Chips under the "when" field. A due chip replaces the due part of the
+  // phrase and keeps any defer part, and the other way round; the flag chip
+  // shows when a due date is close (Settings → Dates).
+  const whenSuggestEl = document.getElementById("whenSuggest")
+  const hideWhenSuggestIfEmpty = () => whenSuggestEl.classList.toggle("hidden", !whenSuggestEl.children.length)
+
+  chrome.runtime.sendMessage({ action: "suggestDates", tabId: tab.id }, (resp) => {
+    if (chrome.runtime.lastError || !resp?.success) return // silent degrade, like suggestions
+    for (const suggestion of resp.dates) addWhenChip(suggestion)
+    if (resp.flag && !flagBtn.classList.contains("on")) addFlagChip(resp.flag)
+    hideWhenSuggestIfEmpty()
+  })
+
+  function addWhenChip({ kind, label, date, hasTime }) {
+    const moment = { date: new Date(date), hasTime }
+    const chip = document.createElement("button")
+    chip.type = "button"
+    chip.className = "tag suggest"
+    chip.textContent = `${label} · ${describeWhen(moment)}`
+    chip.title = `Click to set as the ${kind} date`
+    chip.addEventListener("click", () => {
+      const next = { ...(when.error ? {} : when), [kind]: moment }
+      whenInput.value = ["defer", "due"]
+        .filter((k) => next[k])
+        .map((k) => `${k === "defer" ? "defer to" : "due"} ${formatOmniFocusDate(next[k])}`)
+        .join(", ")
+      updateWhenRow()
+      chip.remove()
+      hideWhenSuggestIfEmpty()
+    })
+    whenSuggestEl.appendChild(chip)
+  }
+
+  function addFlagChip({ label }) {
+    const chip = document.createElement("button")
+    chip.type = "button"
+    chip.className = "tag suggest"
+    chip.textContent = `⚑ Flag · ${label}`
+    chip.title = "Click to flag"
+    chip.addEventListener("click", () => {
+      flagBtn.classList.add("on")
+      updateWhenRow()
+      chip.remove()
+      hideWhenSuggestIfEmpty()
+    })
+    whenSuggestEl.appendChild(chip)
+  }
+
+  // ── save queue (background owns it; we read storage and send edits back) ──
+  let queueEntries = []
+  const queueDrafts = new Map() // id → { name, note } while an entry is being edited
+
+  const { saveQueue = [] } = await chrome.storage.local.get("saveQueue")
+  queueEntries = saveQueue
+  renderQueue()
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !changes.saveQueue) return
+    queueEntries = changes.saveQueue.newValue || []
+    renderQueue()
+  })
+
+  openQueueLink.addEventListener("click", (e) => {
+    e.preventDefault()
+    queuePanel.classList.toggle("hidden")
+  })
+
+  retryAllBtn.addEventListener("click", () => {
+    setStatus("Retrying…")
+    chrome.runtime.sendMessage({ action: "flushQueue" }, (resp) => {
+      if (chrome.runtime.lastError) return setError(chrome.runtime.lastError.message)
+      if (!resp?.success) return setError(resp?.error || "Retry failed")
+      setStatus(resp.retried ? `Resent ${resp.sent} of ${resp.retried}` : "Nothing to retry")
+    })
+  })
+
+  function renderQueue() {
+    const unsent = queueEntries.filter((e) => e.state !== "sent").length
+    openQueueLink.textContent = unsent ? `Queue · ${unsent}` : "Queue"
+    openQueueLink.classList.toggle("hidden", !queueEntries.length)
+    retryAllBtn.disabled = !queueEntries.some((e) => e.state === "failed")
+    if (!queueEntries.length) queuePanel.classList.add("hidden")
+
+    queueListEl.innerHTML = ""
+    const newestFirst = queueEntries.slice().sort((a, b) => b.createdAt - a.createdAt)
+    for (const entry of newestFirst) queueListEl.appendChild(renderQueueItem(entry))
+  }
+
+  function renderQueueItem(entry) {
+    const li = document.createElement("li")
+    li.className = `queue-item ${entry.state}`
+
+    const line = document.createElement("div")
+    line.className = "q-line"
+    const state = document.createElement("span")
+    state.className = "q-state"
+    state.textContent = entry.state
+    const name = document.createElement("span")
+    name.className = "q-name"
+    name.textContent = entry.payload?.name || entry.payload?.sourceUrl || "(untitled)"
+    name.title = entry.payload?.sourceUrl || ""
+    line.append(state, name)
+    li.appendChild(line)
+
+    if (entry.state === "failed" && entry.error) {
+      const err = document.createElement("div")
+      err.className = "q-err"
+      err.textContent = entry.attempts > 1 ? `${entry.error} (${entry.attempts} tries)` : entry.error
+      li.appendChild(err)
+    }
+
+    // Checklist saves are edited as their TaskPaper text.
+    const bodyKey = entry.payload?.taskpaper != null ? "taskpaper" : "note"
+    const draft = queueDrafts.get(entry.id)
+    if (draft) {
+      const edit = document.createElement("div")
+      edit.className = "q-edit"
+      const nameInput = document.createElement("input")
+      nameInput.value = draft.name
+      nameInput.addEventListener("input", () => (draft.name = nameInput.value))
+      const noteInput = document.createElement("textarea")
+      noteInput.rows = 3
+      noteInput.value = draft.note
+      noteInput.addEventListener("input", () => (draft.note = noteInput.value))
+      edit.append(nameInput, noteInput)
+      li.appendChild(edit)
+    }
+
+    const actions = document.createElement("div")
+    actions.className = "q-actions"
+    const addAction = (label, onClick) => {
+      const btn = document.createElement("button")
+      btn.type = "button"
+      btn.className = "btn-px"
+      btn.textContent = label
+      btn.addEventListener("click", onClick)
+      actions.appendChild(btn)
+    }
+    if (entry.state !== "pending") {
+      if (draft) {
+        addAction("Save & resend", () => {
+          queueDrafts.delete(entry.id)
+          resendEntry(entry.id, { name: draft.name.trim(), [bodyKey]: draft.note })
+        })
+        addAction("Discard", () => {
+          queueDrafts.delete(entry.id)
+          renderQueue()
+        })
+      } else {
+        addAction("Edit", () => {
+          queueDrafts.set(entry.id, { name: entry.payload?.name || "", note: entry.payload?.[bodyKey] || "" })
+          renderQueue()
+        })
+        addAction("Resend", () => resendEntry(entry.id, null))
+      }
+    }
+    addAction("Delete", () => {
+      queueDrafts.delete(entry.id)
+      chrome.runtime.sendMessage({ action: "deleteQueued", id: entry.id }, () => {
+        if (chrome.runtime.lastError) return // the storage listener re-renders on success
+      })
+    })
+    li.appendChild(actions)
+    return li
+  }
+
+  function resendEntry(id, edits) {
+    setStatus("Resending…")
+    chrome.runtime.sendMessage({ action: "resendQueued", id, edits }, (resp) => {
+      if (chrome.runtime.lastError) return setError(chrome.runtime.lastError.message)
+      if (!resp?.success) return setError(resp?.error || "Resend failed")
+      setStatus("Resent")
     })
   }
 
@@ -259,78 +1060,112 @@ document.addEventListener("DOMContentLoaded", async () => {
     return pickedTags.slice()
   }
 
-  // Render AI suggestions as dashed "offer" chips. Nothing is applied until the
-  // user clicks; an unclicked chip is simply ignored (save still goes to Inbox).
-  function renderSuggestions(suggProject, suggTags) {
+  // Render AI suggestions as "offer" chips, most confident first, with the
+  // model's reason on hover. Choices under Settings' confidence floor are
+  // dropped; those at or above the auto-apply level are applied straight away
+  // (a project only while the task is headed for the Inbox). The rest wait for
+  // a click; an unclicked chip is simply ignored (save still goes to Inbox).
+  // What was offered goes along with the save, so background can learn which
+  // suggestions were taken and which turned down.
+  // `scores` is { project: { confidence, reason }, tags: { name: … } }; an
+  // unscored choice is always shown and never auto-applied.
+  function renderSuggestions(suggProject, suggTags, scores = {}) {
     suggestVal.innerHTML = ""
+    const floor = suggestMinConfidence / 100
+    const choices = [
+      ...(activeProjects.includes(suggProject) ? [{ project: suggProject, score: scores?.project }] : []),
+      ...(Array.isArray(suggTags) ? suggTags : [])
+        .filter((t) => availableTags.includes(t))
+        .map((t) => ({ tag: t, score: scores?.tags?.[t] })),
+    ]
+      .filter(({ score }) => score?.confidence == null || score.confidence >= floor)
+      .sort((a, b) => (b.score?.confidence ?? 0) - (a.score?.confidence ?? 0))
+    suggested = {
+      project: choices.find((c) => c.project)?.project || "",
+      tags: choices.filter((c) => c.tag).map((c) => c.tag),
+    }
 
     const hideIfEmpty = () => {
       if (!suggestVal.children.length) suggestRow.classList.add("hidden")
     }
+    const sure = (score) => suggestAutoApply > 0 && score?.confidence >= suggestAutoApply / 100
 
-    // At most one project, and only if it's a real configured project.
-    if (suggProject && projects.includes(suggProject)) {
+    for (const { project, tag, score } of choices) {
+      if (tag) {
+        if (sure(score) && !pickedTags.includes(tag)) {
+          pickedTags.push(tag)
+          tagsRow.classList.remove("hidden")
+          renderTagPicker()
+        } else {
+          offerTags([tag], { [tag]: score })
+        }
+        continue
+      }
+      if (sure(score) && !projectSelect.value) {
+        projectSelect.value = project
+        projectRow.classList.remove("hidden")
+        projectSelect.dispatchEvent(new Event("change"))
+        continue
+      }
       const chip = document.createElement("button")
       chip.type = "button"
       chip.className = "tag suggest"
-      chip.textContent = suggProject
-      chip.title = "Click to set project"
+      chip.textContent = project
+      scoreChip(chip, score, "Click to set project")
       chip.addEventListener("click", () => {
-        projectSelect.value = suggProject
+        projectSelect.value = project
         projectRow.classList.remove("hidden")
         chip.remove()
         hideIfEmpty()
+        projectSelect.dispatchEvent(new Event("change"))
       })
       suggestVal.appendChild(chip)
+      suggestRow.classList.remove("hidden")
     }
+  }
+
+  // Hover text "reason — 85% sure"; a choice under even odds is drawn fainter.
+  function scoreChip(chip, score, action) {
+    const parts = [score?.reason, score?.confidence != null && `${Math.round(score.confidence * 100)}% sure`]
+    const why = parts.filter(Boolean).join(" — ")
+    chip.title = why ? `${why}\n${action}` : action
+    chip.classList.toggle("unsure", score?.confidence != null && score.confidence < 0.5)
+  }
 
-    // Tags the model picked that exist and aren't already chosen.
-    for (const t of Array.isArray(suggTags) ? suggTags : []) {
+  // Adds "@tag" offer chips (skipping unknown, picked or already offered tags).
+  // `scores` maps a tag to its { confidence, reason }, when there is one.
+  function offerTags(offered, scores = {}) {
+    for (const t of offered) {
       if (!availableTags.includes(t) || pickedTags.includes(t)) continue
+      if ([...suggestVal.querySelectorAll("[data-tag]")].some((c) => c.dataset.tag === t)) continue
       const chip = document.createElement("button")
       chip.type = "button"
       chip.className = "tag suggest"
+      chip.dataset.tag = t
       const at = document.createElement("span")
       at.className = "at"
       at.textContent = "@"
       chip.append(at, t)
-      chip.title = "Click to add tag"
+      scoreChip(chip, scores[t], "Click to add tag")
       chip.addEventListener("click", () => {
         if (!pickedTags.includes(t)) pickedTags.push(t)
         tagsRow.classList.remove("hidden")
         renderTagPicker()
         chip.remove()
-        hideIfEmpty()
+        if (!suggestVal.children.length) suggestRow.classList.add("hidden")
       })
       suggestVal.appendChild(chip)
     }
-
     if (suggestVal.children.length) suggestRow.classList.remove("hidden")
   }
 
-  function selectedDue() {
-    const active = dueBtns.find((b) => b.classList.contains("on"))
-    if (!active) return null
-    const today = new Date()
-    if (active.dataset.due === "today") return formatISODate(today)
-    if (active.dataset.due === "tomorrow") {
-      const t = new Date(today)
-      t.setDate(t.getDate() + 1)
-      return formatISODate(t)
-    }
-    if (active.dataset.due === "week") {
-      const t = new Date(today)
-      t.setDate(t.getDate() + 7)
-      return formatISODate(t)
-    }
-    return null
-  }
-
-  function formatISODate(d) {
-    const y = d.getFullYear()
-    const m = String(d.getMonth() + 1).padStart(2, "0")
-    const day = String(d.getDate()).padStart(2, "0")
-    return `${y}-${m}-${day}`
+  // Same shape as background's quoteBlock: "> " lines, then the fragment link.
+  function formatQuote({ text, url }) {
+    const quoted = text
+      .split("\n")
+      .map((l) => `> ${l}`.trimEnd())
+      .join("\n")
+    return `${quoted}\n${url}`
   }
 
   function setError(msg) {
@@ -343,40 +1178,177 @@ document.addEventListener("DOMContentLoaded", async () => {
     statusEl.classList.remove("error")
   }
 
+  function setBusy(busy) {
+    saveBtn.disabled = busy
+    saveLinkOnlyBtn.disabled = busy
+    scopeSelect.disabled = busy
+    batchModeSelect.disabled = busy
+  }
+
+  // One line per tab, created on the first progress message for that index.
+  function renderBatchProgress({ index, title, state, error, summarySkipped }) {
+    let li = batchListEl.querySelector(`li[data-index="${index}"]`)
+    if (!li) {
+      li = document.createElement("li")
+      li.dataset.index = String(index)
+      const mark = document.createElement("span")
+      mark.className = "mark"
+      const ttl = document.createElement("span")
+      ttl.className = "ttl"
+      li.append(mark, ttl)
+      batchListEl.appendChild(li)
+    }
+    li.className = state
+    li.querySelector(".mark").textContent = state === "done" ? "✓" : state === "failed" ? "✗" : "·"
+    li.querySelector(".ttl").textContent = state === "failed" ? `${title} — ${error}` : title
+    li.title = state === "failed" ? error : summarySkipped ? "Saved without summary" : ""
+    if (state === "working") li.scrollIntoView({ block: "nearest" })
+  }
+
   // ── save ──
   function send(includeNote) {
+    if (when.error) {
+      setError(when.error)
+      whenInput.focus()
+      return
+    }
+    let extra
+    try {
+      extra = extraTaskFields()
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+    if (checklistOn) {
+      sendChecklist(includeNote, extra)
+      return
+    }
+    if (scopeSelect.value !== "tab") {
+      sendBatch(includeNote, extra)
+      return
+    }
     setStatus("Saving…")
-    saveBtn.disabled = true
-    saveLinkOnlyBtn.disabled = true
-
-    const summary = noteEl.value.trim()
-    const note = includeNote && summary ? `${currentTab.url}\n\n${summary}` : currentTab.url
+    setBusy(true)
 
     chrome.runtime.sendMessage(
       {
         action: "addToOmnifocus",
         customTitle: titleEl.value.trim() || (currentTab.title || ""),
-        customNote: note,
+        customNote: composeNote(includeNote),
+        project: projectSelect.value || null,
+        projectId: projectSelect.selectedOptions[0]?.dataset.id || null,
+        tags: selectedTags(),
+        flag: flagBtn.classList.contains("on"),
+        due: formatOmniFocusDate(when.due),
+        defer: formatOmniFocusDate(when.defer),
+        ...extra,
+        filing: { url: currentTab.url, title: currentTab.title || "", suggested },
+      },
+      finishSave,
+    )
+  }
+
+  // "Save link only" sends just the URL; otherwise the note template decides.
+  function composeNote(includeNote) {
+    if (!includeNote) return siteInfo?.link || pageUrl
+    const { note } = pickTemplates(templateSettings, { project: projectSelect.value, ruleHit })
+    return renderTemplate(note, templateVarsNow())
+  }
+
+  function finishSave(resp) {
+    if (chrome.runtime.lastError) {
+      setError(chrome.runtime.lastError.message)
+      setBusy(false)
+      return
+    }
+    if (resp?.success) {
+      setStatus("Saved")
+      setTimeout(closeMe, 600)
+    } else {
+      setError(resp?.error || "Failed to save")
+      setBusy(false)
+    }
+  }
+
+  // Checklist: title, note, tags, dates etc. go on the parent; each action
+  // brings its own tags and dates.
+  function sendChecklist(includeNote, extra) {
+    let actions
+    try {
+      actions = checklistActions()
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+    if (!actions.length) {
+      setError("Add at least one action")
+      return
+    }
+    setStatus("Saving…")
+    setBusy(true)
+    chrome.runtime.sendMessage(
+      {
+        action: "addChecklistToOmnifocus",
+        name: titleEl.value.trim() || currentTab.title || "",
+        note: composeNote(includeNote),
+        target: checklistTargetSelect.value,
+        sequential: checklistSequentialEl.checked,
+        actions,
+        tags: selectedTags(),
+        flag: flagBtn.classList.contains("on"),
+        due: formatOmniFocusDate(when.due),
+        defer: formatOmniFocusDate(when.defer),
+        ...extra,
+      },
+      finishSave,
+    )
+  }
+
+  // Batch save: background summarizes each tab itself (the note editor only holds
+  // the current tab's summary), so "Link only" just turns summaries off.
+  function sendBatch(includeNote, extra) {
+    const mode = batchModeSelect.value
+    setStatus("Saving…")
+    setBusy(true)
+    batchListEl.innerHTML = ""
+    batchListEl.classList.remove("hidden")
+
+    chrome.runtime.sendMessage(
+      {
+        action: "addTabsToOmnifocus",
+        scope: scopeSelect.value,
+        windowId: currentTab.windowId,
+        groupId: currentTab.groupId,
+        mode,
+        llmEnabled: includeNote,
+        customTitle: mode === "single" ? titleEl.value.trim() : null,
         project: projectSelect.value || null,
+        projectId: projectSelect.selectedOptions[0]?.dataset.id || null,
         tags: selectedTags(),
         flag: flagBtn.classList.contains("on"),
-        due: selectedDue(),
+        due: formatOmniFocusDate(when.due),
+        defer: formatOmniFocusDate(when.defer),
+        ...extra,
       },
       (resp) => {
         if (chrome.runtime.lastError) {
           setError(chrome.runtime.lastError.message)
-          saveBtn.disabled = false
-          saveLinkOnlyBtn.disabled = false
+          setBusy(false)
           return
         }
-        if (resp?.success) {
-          setStatus("Saved")
-          setTimeout(closeMe, 600)
-        } else {
+        if (!resp?.success) {
           setError(resp?.error || "Failed to save")
-          saveBtn.disabled = false
-          saveLinkOnlyBtn.disabled = false
+          setBusy(false)
+          return
+        }
+        if (resp.failed) {
+          // Keep the popup open so the failed lines stay visible.
+          setError(`Saved ${resp.total - resp.failed} of ${resp.total} · ${resp.failed} failed`)
+          setBusy(false)
+          return
         }
+        setStatus(mode === "single" ? `Saved ${resp.total} tabs as one action` : `Saved ${resp.total} tabs`)
+        setTimeout(closeMe, 900)
       },
     )
   }
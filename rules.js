@@ -0,0 +1,113 @@
+// Per-site capture rules: route a page to a project, tags, flag and due date, and
+// rewrite its title. Loaded as a plain script by popup.html and options.html and
+// via importScripts by background.js, so every save path applies the same rules.
+//
+// Rule: { match: "url" | "host" | "title", pattern, project, tags, flag, due, title, note }
+//   url   — glob over the full URL ("github.com/*/issues/*"; no scheme = http(s)),
+//           or /regex/
+//   host  — the host or any subdomain of it ("github.com"), or a glob
+//           ("*.atlassian.net")
+//   title — regex over the page title (case-insensitive; /slashes/ optional)
+// Each "*" in a glob is a capture group; `title` may use $1…$9 and {title}.
+// `due` is a "when" phrase for parseWhen. `title` and `note` may also use the
+// {{…}} variables of templates.js. The first matching rule wins.
+
+const RULE_MATCH_TYPES = ["url", "host", "title"]
+
+function globToRegExp(glob, prefix = "") {
+  const body = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("(.*?)")
+  return new RegExp(`^${prefix}${body}$`, "i")
+}
+
+// "/…/flags" → RegExp, or null when the pattern isn't written that way.
+function slashRegExp(pattern) {
+  const m = pattern.match(/^\/(.+)\/([a-z]*)$/)
+  return m ? new RegExp(m[1], m[2]) : null
+}
+
+// Throws on an invalid regex, so the options editor can show it.
+function compileRulePattern(rule) {
+  const pattern = (rule.pattern || "").trim()
+  if (!pattern) throw new Error("Pattern is empty")
+  if (rule.match === "title") return slashRegExp(pattern) || new RegExp(pattern, "i")
+  if (rule.match === "host") {
+    const host = pattern.toLowerCase().replace(/^www\./, "")
+    if (host.includes("*")) return globToRegExp(host)
+    return new RegExp(`^(?:.*\\.)?${host.replace(/[.+?^${}()|[\]\\]/g, "\\$&")}$`)
+  }
+  if (rule.match === "url") {
+    return slashRegExp(pattern) || globToRegExp(pattern, /^[a-z]+:\/\//i.test(pattern) ? "" : "https?://(?:www\\.)?")
+  }
+  throw new Error(`Unknown match type "${rule.match}"`)
+}
+
+function ruleSubject(rule, { url, title }) {
+  if (rule.match === "title") return title || ""
+  if (rule.match === "host") {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, "")
+    } catch {
+      return ""
+    }
+  }
+  return url || ""
+}
+
+// First rule whose pattern matches → { rule, groups }, or null. Rules with a
+// broken pattern are skipped (the editor flags them).
+function findCaptureRule(rules, page) {
+  for (const rule of rules || []) {
+    let re
+    try {
+      re = compileRulePattern(rule)
+    } catch {
+      continue
+    }
+    const m = ruleSubject(rule, page).match(re)
+    if (m) return { rule, groups: m }
+  }
+  return null
+}
+
+// One pass, so a captured "$2" or "{title}" stays as written.
+function rewriteTitle(template, groups, title) {
+  if (!template) return title
+  return template.replace(/\$(\d)|\{title\}/g, (_, n) => (n ? groups[Number(n)] ?? "" : title || "")).trim()
+}
+
+// titleTemplate holds $N as CAPTURE_MARK n CAPTURE_MARK (a private-use character,
+// so it can't come from a page or a template) and the captures are put back after
+// rendering, so a captured "{{" is never read as template syntax.
+const CAPTURE_MARK = "\uE000"
+const CAPTURE_MARK_RE = new RegExp(`${CAPTURE_MARK}(\\d)${CAPTURE_MARK}`, "g")
+
+// A rendered title → the same text with the rule's captures filled in.
+function fillTitleCaptures(text, captures) {
+  return text.replace(CAPTURE_MARK_RE, (_, n) => captures?.[Number(n)] ?? "")
+}
+
+// What a matching rule sets, ready to merge into a save. `due` stays a phrase;
+// callers parse it with their own week-start / work-day settings.
+// `titleTemplate` is the title rewrite with {title} left as {{title}}, so the
+// template engine fills in the same title the popup and background settle on;
+// render it, then pass the result and `captures` to fillTitleCaptures.
+function applyCaptureRules(rules, page) {
+  const hit = findCaptureRule(rules, page)
+  if (!hit) return null
+  const { rule, groups } = hit
+  const marks = groups.map((_, n) => CAPTURE_MARK + n + CAPTURE_MARK)
+  return {
+    rule,
+    project: rule.project || null,
+    tags: Array.isArray(rule.tags) ? rule.tags.filter(Boolean) : [],
+    flag: !!rule.flag,
+    due: rule.due || "",
+    title: rewriteTitle(rule.title, groups, page.title),
+    titleTemplate: rule.title ? rewriteTitle(rule.title, marks, "{{title}}") : "",
+    captures: [...groups],
+    noteTemplate: rule.note || "",
+  }
+}
@@ -0,0 +1,234 @@
+// Site-specific extractors. Injected by background's getPageContent right before
+// extract.js, which runs the first extractor whose `test(location)` matches and
+// passes its result along as `site`. Plain script in one IIFE like extract.js,
+// so injecting it again into the same tab just replaces the registry.
+//
+// To add a site, append { name, test(location), extract() } to EXTRACTORS.
+// extract() reads the live DOM and returns null (not this kind of page after
+// all) or:
+//   title    — better task title than document.title
+//   details  — short "Label: value" lines for the note, under the URL
+//   link     — URL to save instead of the tab's (e.g. a YouTube timestamp)
+//   text     — what to summarize instead of the generic main-content text
+// Every field is optional. Markup changes often on these sites, so selectors
+// are tried in order and document.title / <meta> tags are the fallback.
+;(() => {
+  const EXCERPT_LEN = 300
+  const MAX_AUTHORS = 5
+
+  // ── helpers ──
+  const clean = (s) => (s || "").replace(/\s+/g, " ").trim()
+
+  function first(selectors, root = document) {
+    for (const selector of selectors) {
+      const el = root.querySelector(selector)
+      if (el && clean(el.textContent)) return el
+    }
+    return null
+  }
+
+  const textOf = (selectors, root) => clean(first(selectors, root)?.textContent)
+  const metaOf = (name) => clean(document.querySelector(`meta[name="${name}"], meta[property="${name}"]`)?.content)
+  const allText = (selector) =>
+    [...new Set([...document.querySelectorAll(selector)].map((el) => clean(el.textContent)))].filter(Boolean)
+
+  // Multi-line text, cut at a word boundary.
+  function excerpt(el, len = EXCERPT_LEN) {
+    const text = clean(el?.innerText ?? el?.textContent)
+    if (text.length <= len) return text
+    const cut = text.slice(0, len)
+    return `${cut.slice(0, cut.lastIndexOf(" ") > len / 2 ? cut.lastIndexOf(" ") : len)}…`
+  }
+
+  function clock(seconds) {
+    const s = Math.floor(seconds)
+    const h = Math.floor(s / 3600)
+    const m = Math.floor((s % 3600) / 60)
+    const ss = String(s % 60).padStart(2, "0")
+    return h ? `${h}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`
+  }
+
+  // ISO 8601 duration ("PT1H4M13S") → seconds.
+  function isoSeconds(iso) {
+    const m = (iso || "").match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/)
+    if (!m) return 0
+    const [, d = 0, h = 0, min = 0, s = 0] = m
+    return ((Number(d) * 24 + Number(h)) * 60 + Number(min)) * 60 + Number(s)
+  }
+
+  // ── GitHub: repo, issue / PR number, state, labels ──
+  // document.title: "Title · Issue #12 · owner/repo" or
+  // "Title by user · Pull Request #34 · owner/repo · GitHub".
+  const GITHUB_TITLE_RE = /^(.*?)(?: by \S+)? · (Issue|Pull Request) #(\d+) · [^·]+?(?: · GitHub)?$/
+
+  const github = {
+    name: "github",
+    test: (loc) => loc.hostname === "github.com" && /^\/[^/]+\/[^/]+/.test(loc.pathname),
+    extract() {
+      const [, owner, repo, section, number] = location.pathname.match(/^\/([^/]+)\/([^/]+)(?:\/(\w+)\/(\d+))?/)
+      const slug = `${owner}/${repo}`
+      if (!number || !["issues", "pull"].includes(section)) {
+        const about = textOf([".BorderGrid .f4.my-3", '[itemprop="about"]']) || metaOf("description")
+        const details = [`Repo: ${slug}`]
+        if (about && !about.startsWith("Contribute to")) details.push(`About: ${about}`)
+        return { title: about ? `${slug}: ${about}` : slug, details }
+      }
+
+      const fromTitle = document.title.match(GITHUB_TITLE_RE)
+      const heading =
+        textOf(['[data-testid="issue-title"]', "bdi.js-issue-title", ".gh-header-title .markdown-title"]) ||
+        fromTitle?.[1] ||
+        ""
+      const kind = section === "pull" ? "PR" : "Issue"
+      const state = textOf([
+        '[data-testid="header-state"]',
+        ".gh-header-meta .State",
+        '[class*="StateLabel"]',
+        ".State",
+      ])
+      const labels = allText(
+        [
+          '[data-testid="issue-labels"] a',
+          ".js-issue-labels .IssueLabel",
+          ".sidebar-labels .IssueLabel",
+          '[class*="IssueLabel"]',
+        ].join(", "),
+      )
+
+      const details = [`Repo: ${slug}`, [`${kind} #${number}`, state].filter(Boolean).join(" · ")]
+      if (labels.length) details.push(`Labels: ${labels.join(", ")}`)
+      const body = first(['[data-testid="issue-body"] .markdown-body', ".comment-body.markdown-body"])
+      return {
+        title: heading ? `${slug}#${number}: ${heading}` : `${slug}#${number}`,
+        details,
+        ...(body ? { text: [heading, body.innerText.trim()].filter(Boolean).join("\n\n") } : {}),
+      }
+    },
+  }
+
+  // ── YouTube: channel, duration, link at the current position ──
+  const youtube = {
+    name: "youtube",
+    test: (loc) => /(^|\.)youtube\.com$/.test(loc.hostname) && loc.pathname === "/watch",
+    extract() {
+      const id = new URLSearchParams(location.search).get("v")
+      if (!id) return null
+      const video = document.querySelector("video")
+      const title =
+        textOf(["h1.ytd-watch-metadata", "#title h1", "h1.title"]) ||
+        metaOf("title") ||
+        document.title.replace(/^\(\d+\)\s*/, "").replace(/ - YouTube$/, "")
+      const channel =
+        textOf(["ytd-watch-metadata ytd-channel-name a", "#owner #channel-name a", "ytd-channel-name a"]) ||
+        clean(document.querySelector('[itemprop="author"] [itemprop="name"]')?.getAttribute("content"))
+      const duration =
+        video && Number.isFinite(video.duration)
+          ? video.duration
+          : isoSeconds(document.querySelector('meta[itemprop="duration"]')?.content)
+      const at = video ? Math.floor(video.currentTime) : 0
+
+      const details = []
+      if (channel) details.push(`Channel: ${channel}`)
+      if (duration) details.push(`Duration: ${clock(duration)}`)
+      if (at > 0) details.push(`Saved at: ${clock(at)}`)
+      const description = first(["ytd-text-inline-expander #expanded", "#description-inline-expander", "#description"])
+      return {
+        title,
+        details,
+        link: `https://www.youtube.com/watch?v=${encodeURIComponent(id)}${at > 0 ? `&t=${at}s` : ""}`,
+        text: [title, description?.innerText.trim() || metaOf("description")].filter(Boolean).join("\n\n"),
+      }
+    },
+  }
+
+  // ── arXiv: authors, abstract, PDF link ──
+  const arxiv = {
+    name: "arxiv",
+    test: (loc) => /(^|\.)arxiv\.org$/.test(loc.hostname) && /^\/abs\//.test(loc.pathname),
+    extract() {
+      const title = metaOf("citation_title") || textOf(["h1.title"]).replace(/^Title:\s*/, "")
+      // citation_author is "Last, First"; show it the way the paper does.
+      const authors = [...document.querySelectorAll('meta[name="citation_author"]')].map((m) =>
+        clean(m.content).split(/,\s*/).reverse().join(" "),
+      )
+      const id = metaOf("citation_arxiv_id") || location.pathname.replace(/^\/abs\//, "")
+      const pdf = metaOf("citation_pdf_url") || `https://arxiv.org/pdf/${id}`
+      const abstract =
+        clean(document.querySelector("blockquote.abstract")?.textContent).replace(/^Abstract:\s*/, "") ||
+        metaOf("citation_abstract") ||
+        metaOf("og:description")
+
+      const details = []
+      if (authors.length) {
+        const shown = authors.slice(0, MAX_AUTHORS).join(", ")
+        details.push(`Authors: ${authors.length > MAX_AUTHORS ? `${shown} et al.` : shown}`)
+      }
+      details.push(`arXiv:${id}`, `PDF: ${pdf}`)
+      return { title, details, ...(abstract ? { text: `${title}\n\n${abstract}` } : {}) }
+    },
+  }
+
+  // ── Stack Overflow and the other Stack Exchange sites: question + accepted answer ──
+  const STACK_HOST_RE = /(^|\.)(stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com)$/
+
+  const stackExchange = {
+    name: "stackexchange",
+    test: (loc) => STACK_HOST_RE.test(loc.hostname) && /^\/questions\/\d+/.test(loc.pathname),
+    extract() {
+      const title =
+        textOf(["#question-header h1", 'h1[itemprop="name"]']) ||
+        document.title.replace(/^(?:[^-]+ - )?(.*?) - [^-]+$/, "$1")
+      const question = first(["#question .s-prose", "#question .js-post-body", ".question .post-text"])
+      const answer =
+        first([".answer.accepted-answer .s-prose", '[itemprop="acceptedAnswer"] .js-post-body']) ||
+        first([".answer .s-prose", ".answer .js-post-body"])
+      const accepted = !!answer?.closest(".accepted-answer, [itemprop='acceptedAnswer']")
+      const tags = allText("#question .post-tag, .post-taglist .post-tag")
+
+      const details = []
+      if (tags.length) details.push(`Tags: ${tags.join(", ")}`)
+      if (question) details.push(`Question: ${excerpt(question)}`)
+      if (answer) details.push(`${accepted ? "Accepted answer" : "Top answer"}: ${excerpt(answer)}`)
+      const text = [title, question?.innerText.trim(), answer?.innerText.trim()].filter(Boolean).join("\n\n")
+      return { title, details, text }
+    },
+  }
+
+  // ── Jira Cloud: issue key, summary, status, assignee ──
+  const JIRA_KEY_RE = /\b([A-Z][A-Z0-9]+-\d+)\b/
+
+  const jira = {
+    name: "jira",
+    test: (loc) =>
+      /\.atlassian\.net$/.test(loc.hostname) &&
+      (/^\/browse\//.test(loc.pathname) || new URLSearchParams(loc.search).has("selectedIssue")),
+    extract() {
+      const key =
+        new URLSearchParams(location.search).get("selectedIssue") || location.pathname.match(JIRA_KEY_RE)?.[1]
+      if (!key) return null
+      const summary =
+        textOf(['[data-testid="issue.views.issue-base.foundation.summary.heading"]', "#summary-val"]) ||
+        document.title.replace(/^\[[^\]]+\]\s*/, "").replace(/\s+-\s+(?:Jira|[^-]+Jira)$/, "")
+      const status = textOf([
+        '[data-testid="issue.views.issue-base.foundation.status.status-field-wrapper"] button',
+        '[data-testid="issue-field-status.ui.status-view.status-button.status-button"]',
+        "#status-val",
+      ])
+      const assignee = textOf(['[data-testid="issue.views.field.user.assignee"]', "#assignee-val"])
+
+      const details = []
+      if (status) details.push(`Status: ${status}`)
+      if (assignee) details.push(`Assignee: ${assignee}`)
+      const description = first(['[data-testid="issue.views.field.rich-text.description"]', "#description-val"])
+      return {
+        title: summary ? `${key}: ${summary}` : key,
+        details,
+        link: `${location.origin}/browse/${key}`,
+        ...(description ? { text: `${summary}\n\n${description.innerText.trim()}` } : {}),
+      }
+    },
+  }
+
+  const EXTRACTORS = [github, youtube, arxiv, stackExchange, jira]
+  globalThis.__siteExtractors = EXTRACTORS
+})()
@@ -0,0 +1,59 @@
+// Receives a background sync's result. background.js opens the x-callback-url
+// form of omnijs-run with x-success / x-error / x-cancel pointing at
+// SYNC_CALLBACK_URL and sends that tab here, query string intact:
+//   ?token=…&result=<payload>            script ran
+//   ?token=…&failed=1&errorMessage=…     script threw or wasn't approved
+//   ?token=…&cancelled=1                 cancelled in OmniFocus
+// Only the run whose token is in ofSyncStatus is accepted, so a web page can't
+// feed its own lists in through this page.
+const CLOSE_AFTER_MS = 2500
+
+const statusEl = document.getElementById("status")
+
+function show(text, state) {
+  statusEl.textContent = text
+  statusEl.className = state
+}
+
+function closeSoon() {
+  setTimeout(() => {
+    chrome.tabs.getCurrent((tab) => {
+      if (tab) chrome.tabs.remove(tab.id)
+    })
+  }, CLOSE_AFTER_MS)
+}
+
+async function receive() {
+  const params = new URLSearchParams(location.search)
+  const { [SYNC_STATUS_KEY]: status = {} } = await chrome.storage.local.get(SYNC_STATUS_KEY)
+  if (!status.token || params.get("token") !== status.token) {
+    show("This sync result wasn't asked for (or has already been applied), so it was ignored.", "failed")
+    return
+  }
+  try {
+    if (params.has("cancelled")) throw new Error("cancelled in OmniFocus")
+    if (params.has("failed")) throw new Error(params.get("errorMessage") || "the script failed in OmniFocus")
+    const payload = parseSyncPayload(params.get("result") || "")
+    if (!payload || !SYNC_KINDS.some((kind) => payload[kind])) throw new Error("OmniFocus sent back no lists")
+
+    const done = []
+    let renamed = 0
+    for (const kind of SYNC_KINDS) {
+      if (!payload[kind]) continue
+      const result = await storeSyncedItems(kind, payload[kind])
+      const { added, removed, changed } = result.diff
+      renamed += result.renamed
+      const counts = `${added.length} added, ${removed.length} removed, ${changed.length} changed`
+      done.push(`${result.names.length} ${kind} (${counts})`)
+    }
+    await updateSyncStatus({ state: "ok", error: null, token: null })
+    const follow = renamed ? `; updated ${renamed} reference${renamed === 1 ? "" : "s"} to renamed ones` : ""
+    show(`Synced ${done.join(" and ")}${follow}.`, "ok")
+    closeSoon()
+  } catch (err) {
+    await updateSyncStatus({ state: "failed", error: err.message, token: null })
+    show(`Sync failed: ${err.message}`, "failed")
+  }
+}
+
+receive()
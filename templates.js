@@ -0,0 +1,213 @@
+// Title and note templates. Loaded as a plain script by popup.html and
+// options.html and via importScripts by background.js, so the popup preview, the
+// popup save and the direct-add path all render through the same code.
+//
+//   {{title}}  {{url | truncate:60}}  {{summary | default:"(no summary)"}}
+//   {{#if selection}}…{{else}}…{{/if}}   {{#unless summary}}…{{/unless}}
+//
+// Every variable is a string ("" when unknown); {{#if}} tests for non-blank.
+// After rendering, trailing spaces are dropped and runs of blank lines collapse
+// to one, so a line whose variable is empty simply disappears. Titles are
+// flattened onto one line.
+
+const TEMPLATE_VARS = [
+  "title",
+  "url",
+  "host",
+  "summary",
+  "selection",
+  "quote",
+  "details",
+  "date",
+  "time",
+  "author",
+  "published",
+  "readingTime",
+  "site",
+  "project",
+  "tags",
+]
+
+const DEFAULT_TITLE_TEMPLATE = "{{title}}"
+const DEFAULT_NOTE_TEMPLATE = "{{url}}\n{{details}}\n\n{{summary}}\n\n{{quote}}"
+
+const TEMPLATE_FILTERS = {
+  lowercase: (v) => v.toLowerCase(),
+  uppercase: (v) => v.toUpperCase(),
+  capitalize: (v) => v.charAt(0).toUpperCase() + v.slice(1),
+  trim: (v) => v.trim(),
+  oneline: (v) => v.replace(/\s+/g, " ").trim(),
+  truncate: (v, n = "80") => {
+    const max = Math.max(1, Number.parseInt(n, 10) || 80)
+    return v.length > max ? `${v.slice(0, max - 1).trimEnd()}…` : v
+  },
+  default: (v, fallback = "") => (v.trim() ? v : fallback),
+  quote: (v) =>
+    v
+      ? v
+          .split("\n")
+          .map((l) => `> ${l}`.trimEnd())
+          .join("\n")
+      : "",
+}
+TEMPLATE_FILTERS.lower = TEMPLATE_FILTERS.lowercase
+TEMPLATE_FILTERS.upper = TEMPLATE_FILTERS.uppercase
+
+const TEMPLATE_TAG_RE = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*(.*?)\s*\}\}/g
+
+// Splits on the "|" outside quoted strings, so default:"a|b" stays one filter.
+function splitTemplatePipes(expr) {
+  const parts = [""]
+  let quote = null
+  for (const ch of expr) {
+    if (quote) {
+      if (ch === quote) quote = null
+    } else if (ch === '"' || ch === "'") {
+      quote = ch
+    } else if (ch === "|") {
+      parts.push("")
+      continue
+    }
+    parts[parts.length - 1] += ch
+  }
+  if (quote) throw new Error(`Missing closing ${quote} in {{${expr}}}`)
+  return parts.map((s) => s.trim())
+}
+
+// "summary | truncate:40 | default:"none"" → { name, filters: [{ name, arg }] }
+function parseTemplateExpr(expr) {
+  const [name, ...filters] = splitTemplatePipes(expr)
+  return {
+    name,
+    filters: filters.map((f) => {
+      const i = f.indexOf(":")
+      if (i < 0) return { name: f, arg: undefined }
+      return { name: f.slice(0, i).trim(), arg: f.slice(i + 1).trim().replace(/^"(.*)"$|^'(.*)'$/, "$1$2") }
+    }),
+  }
+}
+
+// Template source → nodes: strings, { kind: "var", expr } and
+// { kind: "if" | "unless", expr, body, alt }. Throws on unbalanced blocks and
+// unknown variables or filters, with a message the options page can show.
+function parseTemplate(src) {
+  const root = { kind: "root", body: [] }
+  const stack = [root]
+  let last = 0
+  const check = (expr) => {
+    const { name, filters } = parseTemplateExpr(expr)
+    if (!TEMPLATE_VARS.includes(name)) throw new Error(`Unknown variable {{${name}}}`)
+    for (const f of filters) if (!TEMPLATE_FILTERS[f.name]) throw new Error(`Unknown filter "${f.name}"`)
+    return { name, filters }
+  }
+  for (const m of src.matchAll(TEMPLATE_TAG_RE)) {
+    const top = stack[stack.length - 1]
+    const out = top.inElse ? top.alt : top.body
+    if (m.index > last) out.push(src.slice(last, m.index))
+    last = m.index + m[0].length
+    const [, keyword, expr] = m
+    if (keyword === "#if" || keyword === "#unless") {
+      const node = { kind: keyword.slice(1), expr: check(expr), body: [], alt: [] }
+      out.push(node)
+      stack.push(node)
+    } else if (keyword === "else") {
+      if (top === root || top.inElse) throw new Error("{{else}} outside {{#if}}")
+      top.inElse = true
+    } else if (keyword) {
+      if (top.kind !== keyword.slice(1)) throw new Error(`Unexpected {{${keyword}}}`)
+      stack.pop()
+    } else {
+      out.push({ kind: "var", expr: check(expr) })
+    }
+  }
+  if (stack.length > 1) throw new Error(`Missing {{/${stack[stack.length - 1].kind}}}`)
+  const rest = src.slice(last)
+  if (rest) root.body.push(rest)
+  return root.body
+}
+
+// Error message for the options editor, or "" when the template is fine.
+function templateProblem(src) {
+  try {
+    parseTemplate(src || "")
+    return ""
+  } catch (err) {
+    return err.message
+  }
+}
+
+function evalTemplateExpr({ name, filters }, vars) {
+  let value = String(vars[name] ?? "")
+  for (const f of filters) value = TEMPLATE_FILTERS[f.name](value, f.arg)
+  return value
+}
+
+function renderTemplateNodes(nodes, vars) {
+  return nodes
+    .map((node) => {
+      if (typeof node === "string") return node
+      if (node.kind === "var") return evalTemplateExpr(node.expr, vars)
+      const truthy = evalTemplateExpr(node.expr, vars).trim() !== ""
+      return renderTemplateNodes(truthy === (node.kind === "if") ? node.body : node.alt, vars)
+    })
+    .join("")
+}
+
+// A broken template (saved before it was fixed, or synced from elsewhere) falls
+// back to the default instead of failing the save.
+function renderTemplate(src, vars, fallback = DEFAULT_NOTE_TEMPLATE) {
+  let nodes
+  try {
+    nodes = parseTemplate(src || fallback)
+  } catch {
+    nodes = parseTemplate(fallback)
+  }
+  return renderTemplateNodes(nodes, vars)
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+}
+
+function renderTitleTemplate(src, vars) {
+  return renderTemplate(src, vars, DEFAULT_TITLE_TEMPLATE).replace(/\s*\n\s*/g, " ")
+}
+
+// Everything a template can refer to, from what the caller has on hand.
+// `meta` is extract.js's page metadata; `details` the site extractor's lines.
+function templateVars({ title, url, summary, selection, quote, details, meta = {}, site, project, tags, now }) {
+  const d = now || new Date()
+  const pad = (n) => String(n).padStart(2, "0")
+  let host = ""
+  try {
+    host = new URL(url).hostname.replace(/^www\./, "")
+  } catch {}
+  return {
+    title: title || "",
+    url: url || "",
+    host,
+    summary: summary || "",
+    selection: selection || "",
+    quote: quote || "",
+    details: (details || []).join("\n"),
+    date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+    time: `${pad(d.getHours())}:${pad(d.getMinutes())}`,
+    author: meta.byline || "",
+    published: (meta.published || "").slice(0, 10),
+    readingTime: meta.readingTime ? String(meta.readingTime) : "",
+    site: meta.siteName || site || host,
+    project: project || "",
+    tags: (tags || []).join(", "),
+  }
+}
+
+// The templates that apply to a save: a capture rule's beats the project's,
+// which beats the global one. Title and note are picked independently.
+// `settings` is { titleTemplate, noteTemplate, projectTemplates } from sync;
+// `ruleHit` is applyCaptureRules' result.
+function pickTemplates(settings, { project, ruleHit }) {
+  const forProject = (settings.projectTemplates || []).find((t) => project && t.project === project) || {}
+  return {
+    title: ruleHit?.titleTemplate || forProject.title || settings.titleTemplate || DEFAULT_TITLE_TEMPLATE,
+    note: ruleHit?.noteTemplate || forProject.note || settings.noteTemplate || DEFAULT_NOTE_TEMPLATE,
+  }
+}
@@ -0,0 +1,69 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { loadScripts } = require("./helpers")
+
+const { dateSuggestions } = loadScripts("dates.js", "deadlines.js")
+
+// Wednesday 15 October 2025, mid-morning.
+const NOW = new Date(2025, 9, 15, 10, 0)
+const suggest = (text, extra = {}) => dateSuggestions({ text, now: NOW, ...extra })
+const day = (date) => {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`
+}
+
+test("a deadline phrase with a year becomes a due suggestion", () => {
+  const { dates } = suggest("Submission deadline: March 3, 2026. Late papers are not accepted.")
+  assert.deepEqual(dates.map((d) => [d.kind, d.label, day(d.date)]), [["due", "Submission deadline", "2026-3-3"]])
+})
+
+test("a later date without a year is this year's", () => {
+  const { dates } = suggest("Please RSVP by Friday, Oct 31 at 5pm.")
+  assert.equal(dates.length, 1)
+  assert.equal(day(dates[0].date), "2025-10-31")
+  assert.equal(new Date(dates[0].date).getHours(), 17)
+  assert.equal(dates[0].hasTime, true)
+})
+
+test("a passed date without a year is dropped, not moved to next year", () => {
+  assert.deepEqual(suggest("Deadline: March 3").dates, [])
+  assert.deepEqual(suggest("Applications close 1st of October.").dates, [])
+})
+
+test("a passed date without a year still counts when next year's is close", () => {
+  const december = new Date(2025, 11, 20)
+  const { dates } = dateSuggestions({ text: "Registration closes Jan 10.", now: december })
+  assert.deepEqual(dates.map((d) => day(d.date)), ["2026-1-10"])
+})
+
+test("an m/d/y date with a 2-digit year keeps its year, however far ahead", () => {
+  const { dates } = suggest("Payment due 3/15/27.")
+  assert.deepEqual(dates.map((d) => day(d.date)), ["2027-3-15"])
+})
+
+test("dates with a year in the past are dropped", () => {
+  assert.deepEqual(suggest("Deadline: March 3, 2025").dates, [])
+})
+
+test("defer cues and structured dates, structured first, then earliest first", () => {
+  const structured = [{ label: "Event starts", date: "2025-11-20T09:00:00", kind: "due" }]
+  const { dates } = suggest("Registration opens 2025-10-20. Payment due November 1.", { structured })
+  assert.deepEqual(
+    dates.map((d) => [d.kind, d.label, day(d.date)]),
+    [
+      ["due", "Event starts", "2025-11-20"],
+      ["defer", "Registration opens", "2025-10-20"],
+      ["due", "Payment due", "2025-11-1"],
+    ],
+  )
+})
+
+test("a flag when the soonest due date is close", () => {
+  assert.deepEqual(suggest("Pay by Oct 17.", { flagWithinDays: 3 }).flag, { label: "due in 2 days" })
+  assert.equal(suggest("Pay by Oct 30.", { flagWithinDays: 3 }).flag, null)
+  assert.equal(suggest("Pay by Oct 17.").flag, null)
+})
+
+test("'due to' is not a deadline", () => {
+  assert.deepEqual(suggest("The delay was due to rain on October 20.").dates, [])
+})
@@ -0,0 +1,61 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { fixture, runInPage } = require("./helpers")
+
+const extract = (name, url) => runInPage(fixture(name), url, ["extract.js"])
+
+test("article: keeps the body and drops navigation, banners, related links, comments and footer", () => {
+  const { text } = extract("article.html", "https://allotment.example/tomatoes-indoors")
+  assert.match(text, /^Tomatoes are easier to grow on a windowsill/)
+  assert.match(text, /Water little and often/)
+  for (const junk of ["Vegetables", "cookies", "Chillies on a windowsill", "Great post", "newsletter", "Privacy"]) {
+    assert.doesNotMatch(text, new RegExp(junk), junk)
+  }
+})
+
+test("article: headings keep their hierarchy, with the top level as #", () => {
+  const { text } = extract("article.html", "https://allotment.example/tomatoes-indoors")
+  assert.match(text, /^# Choosing a variety$/m)
+  assert.match(text, /^## Light$/m)
+  assert.match(text, /^# Watering and feeding$/m)
+})
+
+test("article: list items stay on adjacent lines", () => {
+  const { text } = extract("article.html", "https://allotment.example/tomatoes-indoors")
+  assert.match(text, /- Tumbling Tom, for hanging baskets\n- Red Robin, for small pots\n- Micro Tom/)
+})
+
+test("article: title and metadata from meta tags and JSON-LD", () => {
+  const { meta, site, selection } = extract("article.html", "https://allotment.example/tomatoes-indoors")
+  assert.equal(meta.title, "Growing Tomatoes Indoors")
+  assert.equal(meta.byline, "Ruth Okafor")
+  assert.equal(meta.published, "2024-03-14T09:30:00Z")
+  assert.equal(meta.siteName, "The Allotment Blog")
+  assert.equal(meta.language, "en-GB")
+  assert.ok(meta.wordCount > 150 && meta.wordCount < 200, String(meta.wordCount))
+  assert.equal(meta.readingTime, 1)
+  assert.deepEqual(meta.dates, [])
+  assert.equal(site, null)
+  assert.equal(selection, "")
+})
+
+test("event: structured dates from JSON-LD and microdata", () => {
+  const { meta } = extract("event.html", "https://jsconf.example/2099")
+  assert.equal(meta.title, "JSConf Lisbon 2099")
+  assert.equal(meta.byline, "JSConf Team")
+  assert.equal(meta.siteName, "jsconf.example")
+  assert.deepEqual(meta.dates, [
+    { label: "JSConf Lisbon 2099 starts", date: "2099-06-10T09:00:00+01:00", kind: "due" },
+    { label: "Registration closes", date: "2099-05-31T23:59:00+01:00", kind: "due" },
+    { label: "Tickets on sale", date: "2099-01-15", kind: "defer" },
+    { label: "Payment due", date: "2099-02-01", kind: "due" },
+    { label: "Event starts", date: "2099-06-11T10:00", kind: "due" },
+  ])
+})
+
+test("app shell: too little content falls back to the main element's text", () => {
+  const { text, meta } = extract("app-shell.html", "https://app.example/dashboard")
+  assert.match(text, /Welcome back\. You have 3 unread messages\./)
+  assert.equal(meta.title, "Dashboard")
+  assert.equal(meta.siteName, "app.example")
+})
@@ -0,0 +1,136 @@
+const { test, describe } = require("node:test")
+const assert = require("node:assert/strict")
+const { loadScripts } = require("./helpers")
+
+const { keywordSuggestion, parseKeywordLists, keywordListProblem, extractiveSummary, cleanTitle, fitTitle } =
+  loadScripts("fallback.js")
+
+const TAGS = ["python", "rust", "errands", "reading", "home"]
+
+describe("keywordSuggestion", () => {
+  test("a tag named after the site's host is suggested even among a handful of candidates", () => {
+    const page = { title: "3.12.1 Documentation", url: "https://docs.python.org/3/library/index.html", text: "" }
+    const { project, tags, scores } = keywordSuggestion({ ...page, tags: TAGS })
+    assert.equal(project, "")
+    assert.deepEqual(tags, ["python"])
+    assert.ok(scores.tags.python.confidence > 0.5, String(scores.tags.python.confidence))
+    assert.equal(scores.tags.python.reason, 'Page mentions "python"')
+  })
+
+  test("the same page is matched the same way in a long list", () => {
+    const many = Array.from({ length: 300 }, (_, i) => `label${i}`)
+    const page = { title: "3.12.1 Documentation", url: "https://docs.python.org/3/library/index.html", text: "" }
+    assert.deepEqual(keywordSuggestion({ ...page, tags: [...many, ...TAGS] }).tags, ["python"])
+  })
+
+  test("a single passing mention in the text is not enough", () => {
+    const page = { title: "Weekly roundup", url: "https://news.example/roundup", text: "Someone rewrote it in rust." }
+    const { tags, scores } = keywordSuggestion({ ...page, tags: TAGS })
+    assert.deepEqual(tags, [])
+    assert.deepEqual(scores, { project: null, tags: {} })
+  })
+
+  test("a project needs its whole name, and a clear lead over the next one", () => {
+    const projects = ["Kitchen renovation", "Garden renovation", "Work"]
+    const kitchen = { title: "Kitchen renovation quotes", url: "https://builder.example/", text: "kitchen cabinets" }
+    assert.equal(keywordSuggestion({ ...kitchen, projects }).project, "Kitchen renovation")
+    const either = { title: "Renovation ideas", url: "https://builder.example/", text: "renovation on a budget" }
+    assert.equal(keywordSuggestion({ ...either, projects }).project, "")
+  })
+
+  test("keyword lists from Settings match words, phrases and hosts", () => {
+    const keywords = ["Work: okr, quarterly review", "@reading: longread", "# comments are ignored"]
+    const page = {
+      title: "Notes from the quarterly review",
+      url: "https://wiki.example/q3",
+      text: "OKR progress. Long list of items.",
+    }
+    const result = keywordSuggestion({ ...page, projects: ["Work", "Home"], tags: TAGS, keywords })
+    assert.equal(result.project, "Work")
+    assert.match(result.scores.project.reason, /"quarterly review"/)
+    assert.deepEqual(result.tags, [])
+  })
+
+  test("nothing to choose from suggests nothing", () => {
+    const page = { title: "Python", url: "https://docs.python.org/", text: "python" }
+    assert.deepEqual(keywordSuggestion(page), { project: "", tags: [], scores: { project: null, tags: {} } })
+  })
+
+  test("at most three tags", () => {
+    const page = {
+      title: "Python, Rust and Go for home automation",
+      url: "https://blog.example/",
+      text: "python rust go home automation python rust home",
+    }
+    const { tags } = keywordSuggestion({ ...page, tags: ["go", "automation", ...TAGS] })
+    assert.equal(tags.length, 3)
+  })
+})
+
+describe("keyword lists", () => {
+  test("parseKeywordLists merges repeated names and lowercases terms", () => {
+    const lines = ["Work: OKR, Quarterly Review", "  ", "# note", "no colon", "Work: standup", "@home:"]
+    const lists = parseKeywordLists(lines)
+    assert.deepEqual([...lists], [["Work", ["okr", "quarterly review", "standup"]]])
+  })
+
+  test("keywordListProblem names lines that won't match anything", () => {
+    const known = { projects: ["Work"], tags: ["home"] }
+    assert.equal(keywordListProblem("Work: okr", known), "")
+    assert.equal(keywordListProblem("@home: house", known), "")
+    assert.equal(keywordListProblem("# Work: okr", known), "")
+    assert.equal(keywordListProblem("okr", known), '"okr" needs a name, a colon and keywords')
+    assert.equal(keywordListProblem("Play: games", known), `"Play" isn't one of your projects`)
+    assert.equal(keywordListProblem("@garden: soil", known), `"@garden" isn't one of your tags`)
+  })
+})
+
+describe("extractiveSummary", () => {
+  const TEXT = [
+    "Tomatoes grow well indoors when they get enough light and steady watering every day.",
+    "Pick a compact bush variety of tomato, since tall cordon types outgrow a windowsill quickly.",
+    "Short line.",
+    "A south-facing window gives tomatoes six to eight hours of light, which is about the minimum.",
+    "Water tomatoes little and often and feed them weekly once the first flowers open.",
+    "My neighbour's cat once knocked a whole tray of seedlings off the ledge in the night.",
+  ].join("\n")
+
+  test("short and medium summaries pick that many sentences, in page order", () => {
+    const one = extractiveSummary(TEXT, { type: "tldr", length: "short" })
+    assert.equal(one.split(/(?<=\.) /).length, 1)
+    const three = extractiveSummary(TEXT, { type: "tldr", length: "medium" }).split(/(?<=\.) /)
+    assert.equal(three.length, 3)
+    const order = three.map((s) => TEXT.indexOf(s))
+    assert.deepEqual(order, [...order].sort((a, b) => a - b))
+    assert.ok(!three.some((s) => s.includes("cat")), "the off-topic sentence ranks last")
+  })
+
+  test("key points are bullets", () => {
+    const points = extractiveSummary(TEXT, { type: "key-points", length: "short" }).split("\n")
+    assert.equal(points.length, 3)
+    assert.ok(points.every((p) => p.startsWith("- ")))
+  })
+
+  test("sentences that are too short or repeated are skipped", () => {
+    const text = "Short line.\nToo short too.\nThe same sentence appears twice on this page.\n".repeat(2)
+    assert.equal(extractiveSummary(text, { length: "long" }), "The same sentence appears twice on this page.")
+    assert.equal(extractiveSummary("Nothing long enough here."), "")
+    assert.equal(extractiveSummary(""), "")
+  })
+})
+
+describe("cleanTitle", () => {
+  const style = { mode: "rules", verbFirst: true, typePrefix: true, maxLength: 80 }
+
+  test("drops site names and clutter and adds a verb by content type", () => {
+    const page = { title: "Home | Company Blog – Thoughts on X", url: "https://blog.company.com/x", siteName: "" }
+    assert.equal(cleanTitle(page, style), "Read: Thoughts on X (Company Blog)")
+    const video = { title: "Rivers and Valleys - YouTube", url: "https://www.youtube.com/watch?v=1", site: "youtube" }
+    assert.equal(cleanTitle(video, style), "Watch: Rivers and Valleys (YouTube)")
+  })
+
+  test("long titles are cut at a word", () => {
+    assert.equal(fitTitle("one two three four", 12), "one two…")
+    assert.equal(fitTitle("short", 12), "short")
+  })
+})
@@ -0,0 +1,46 @@
+// Shared test setup. The extension's files are classic scripts (importScripts,
+// <script> tags, chrome.scripting.executeScript), not modules, so tests run
+// them the way the browser would and read the results back.
+const fs = require("node:fs")
+const path = require("node:path")
+const vm = require("node:vm")
+const { JSDOM } = require("jsdom")
+
+const ROOT = path.join(__dirname, "..")
+
+const source = (file) => fs.readFileSync(path.join(ROOT, file), "utf8")
+const fixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8")
+
+// Runs shared scripts in this process's global scope, in order, the way
+// importScripts does, and returns an object that reads their top-level names
+// (functions and consts alike): `const { parseWhen } = loadScripts("dates.js")`.
+// node --test gives each test file its own process, so nothing leaks between files.
+function loadScripts(...files) {
+  for (const file of files) vm.runInThisContext(source(file), { filename: path.join(ROOT, file) })
+  return new Proxy({}, { get: (_, name) => vm.runInThisContext(String(name)) })
+}
+
+// Injects `files` into a jsdom page built from `html` at `url`, in order, like
+// getPageContent does, and returns the last file's completion value —
+// serialized, as executeScript hands it back.
+// jsdom does no layout, so innerText is textContent with <br> and block
+// boundaries turned into line breaks — close enough for the extractors.
+function runInPage(html, url, files) {
+  const dom = new JSDOM(html, { url, runScripts: "outside-only" })
+  const { window } = dom
+  Object.defineProperty(window.HTMLElement.prototype, "innerText", {
+    get() {
+      const copy = this.cloneNode(true)
+      for (const br of copy.querySelectorAll("br")) br.replaceWith("\n")
+      for (const el of copy.querySelectorAll("p, div, li, h1, h2, h3, h4, h5, h6, pre, blockquote, tr")) {
+        el.append("\n")
+      }
+      return copy.textContent.replace(/\n{3,}/g, "\n\n")
+    },
+  })
+  let result
+  for (const file of files) result = window.eval(source(file))
+  return result === undefined ? undefined : JSON.parse(JSON.stringify(result))
+}
+
+module.exports = { ROOT, source, fixture, loadScripts, runInPage }
@@ -0,0 +1,359 @@
+const { test, describe } = require("node:test")
+const assert = require("node:assert/strict")
+const { loadScripts } = require("./helpers")
+
+const {
+  buildOmnifocusUrl,
+  validateTaskFields,
+  pickTaskFields,
+  isTaskDate,
+  repeatRuleProblem,
+  toTaskPaper,
+  buildPasteUrl,
+  ZWSP,
+} = loadScripts("omnifocus.js")
+
+// The add URL's parameters, decoded, in order.
+const params = (url) => {
+  assert.ok(url.startsWith("omnifocus:///add?"), url)
+  return url
+    .slice("omnifocus:///add?".length)
+    .split("&")
+    .map((part) => {
+      const [key, value] = part.split("=")
+      return [key, decodeURIComponent(value)]
+    })
+}
+const param = (fields, key) => Object.fromEntries(params(buildOmnifocusUrl(fields)))[key]
+
+describe("buildOmnifocusUrl", () => {
+  test("name and note are always sent, even when empty", () => {
+    assert.equal(buildOmnifocusUrl({}), "omnifocus:///add?name=&note=")
+  })
+
+  test("spaces become %20 and + is escaped, not read as a space", () => {
+    const url = buildOmnifocusUrl({ name: "C++ tips & tricks", note: "a+b = c\nhttps://x.example/?q=1&r=2" })
+    assert.equal(
+      url,
+      "omnifocus:///add?name=C%2B%2B%20tips%20%26%20tricks&note=a%2Bb%20%3D%20c%0Ahttps%3A%2F%2Fx.example%2F%3Fq%3D1%26r%3D2",
+    )
+    assert.ok(!url.includes("+"))
+  })
+
+  test("non-ASCII text is UTF-8 percent-encoded", () => {
+    assert.equal(buildOmnifocusUrl({ name: "Café ✓" }), "omnifocus:///add?name=Caf%C3%A9%20%E2%9C%93&note=")
+  })
+
+  test("unset fields are left out so OmniFocus applies its defaults", () => {
+    const fields = {
+      name: "x",
+      project: "",
+      tags: [],
+      flag: false,
+      parallel: null,
+      completed: null,
+      defer: null,
+      due: "",
+      estimate: null,
+      repeatRule: null,
+      repeatMethod: "fixed",
+      autosave: false,
+      attachmentName: "orphan.txt",
+    }
+    assert.deepEqual(params(buildOmnifocusUrl(fields)).map(([key]) => key), ["name", "note"])
+  })
+
+  test("attachment, with a name only when there is one", () => {
+    const url = buildOmnifocusUrl({ attachment: "aGVsbG8=", attachmentName: "hello world.txt" })
+    assert.deepEqual(params(url).slice(2), [
+      ["attachment", "aGVsbG8="],
+      ["attachment-name", "hello world.txt"],
+    ])
+    assert.equal(buildOmnifocusUrl({ attachment: "aGVsbG8=" }), "omnifocus:///add?name=&note=&attachment=aGVsbG8%3D")
+  })
+
+  test("project", () => {
+    const url = buildOmnifocusUrl({ project: "Home : Garden" })
+    assert.equal(url, "omnifocus:///add?name=&note=&project=Home%20%3A%20Garden")
+  })
+
+  test("tags are joined with commas", () => {
+    assert.equal(param({ tags: ["errands", "waiting for"] }, "tags"), "errands,waiting for")
+    assert.ok(buildOmnifocusUrl({ tags: ["a", "b"] }).endsWith("&tags=a%2Cb"))
+  })
+
+  test("flag", () => {
+    assert.equal(param({ flag: true }, "flag"), "true")
+  })
+
+  test("parallel is sent as true or false whenever it is set", () => {
+    assert.equal(param({ parallel: true }, "parallel"), "true")
+    assert.equal(param({ parallel: false }, "parallel"), "false")
+    assert.equal(param({}, "parallel"), undefined)
+  })
+
+  test("completed, defer and due keep their date and time", () => {
+    const fields = { completed: "2025-01-01", defer: "2025-01-02 08:30", due: "2025-01-03 17:00" }
+    assert.equal(
+      buildOmnifocusUrl(fields),
+      "omnifocus:///add?name=&note=&completed=2025-01-01&defer=2025-01-02%2008%3A30&due=2025-01-03%2017%3A00",
+    )
+  })
+
+  test("estimate is sent in minutes", () => {
+    assert.equal(param({ estimate: 45 }, "estimate"), "45m")
+    assert.ok(buildOmnifocusUrl({ estimate: 90 }).endsWith("&estimate=90m"))
+  })
+
+  test("repeat sends the rule with its method, fixed by default", () => {
+    assert.deepEqual(params(buildOmnifocusUrl({ repeatRule: "FREQ=WEEKLY;BYDAY=MO,TH" })).slice(2), [
+      ["repeat-method", "fixed"],
+      ["repeat-rule", "FREQ=WEEKLY;BYDAY=MO,TH"],
+    ])
+    const url = buildOmnifocusUrl({ repeatRule: "FREQ=DAILY;INTERVAL=2", repeatMethod: "due-after-completion" })
+    assert.ok(url.endsWith("&repeat-method=due-after-completion&repeat-rule=FREQ%3DDAILY%3BINTERVAL%3D2"), url)
+  })
+
+  test("autosave", () => {
+    assert.equal(param({ autosave: true }, "autosave"), "true")
+  })
+
+  test("every field together, in a stable order", () => {
+    const url = buildOmnifocusUrl({
+      name: "Review PR",
+      note: "https://github.com/acme/widgets/pull/7",
+      project: "Work",
+      tags: ["review"],
+      flag: true,
+      parallel: false,
+      completed: "2025-01-01",
+      defer: "2025-01-02",
+      due: "2025-01-03 12:00",
+      estimate: 30,
+      repeatRule: "FREQ=WEEKLY",
+      repeatMethod: "start-after-completion",
+      autosave: true,
+    })
+    assert.deepEqual(
+      params(url).map(([key]) => key),
+      [
+        "name",
+        "note",
+        "project",
+        "tags",
+        "flag",
+        "parallel",
+        "completed",
+        "defer",
+        "due",
+        "estimate",
+        "repeat-method",
+        "repeat-rule",
+        "autosave",
+      ],
+    )
+  })
+})
+
+describe("validateTaskFields", () => {
+  const problems = (fields, settings) => {
+    try {
+      validateTaskFields(fields, settings)
+      return null
+    } catch (err) {
+      return err.message
+    }
+  }
+
+  test("accepts a fully specified task", () => {
+    const fields = {
+      project: "Work",
+      tags: ["review", "waiting for"],
+      flag: true,
+      defer: "2025-01-02 08:00",
+      due: "2025-01-03",
+      completed: "2025-01-04 09:15",
+      estimate: 30,
+      repeatRule: "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6",
+      repeatMethod: "fixed",
+    }
+    assert.equal(problems(fields), null)
+    assert.equal(problems({}), null)
+  })
+
+  test("dates must be YYYY-MM-DD with an optional HH:MM, and real days", () => {
+    assert.equal(isTaskDate("2024-02-29"), true)
+    assert.equal(isTaskDate("2024-02-29 23:59"), true)
+    for (const bad of ["2025-02-29", "2025-13-01", "2025-1-5", "2025-01-05T10:00", "2025-01-05 24:00", "tomorrow"]) {
+      assert.equal(isTaskDate(bad), false, bad)
+    }
+    assert.match(problems({ due: "friday" }), /due date "friday" isn't YYYY-MM-DD \[HH:MM\]/)
+    assert.match(problems({ defer: "2025-02-30" }), /defer date/)
+    assert.match(problems({ completed: "yesterday" }), /completed date/)
+  })
+
+  test("defer may not be after due", () => {
+    assert.match(problems({ defer: "2025-01-03", due: "2025-01-02" }), /defer date is after the due date/)
+    assert.match(problems({ defer: "2025-01-02 18:00", due: "2025-01-02 09:00" }), /defer date is after/)
+    assert.equal(problems({ defer: "2025-01-02", due: "2025-01-02" }), null)
+  })
+
+  test("defer and due are compared as moments, with a date-only due at the end of the work day", () => {
+    assert.equal(problems({ defer: "2025-01-02 10:00", due: "2025-01-02" }), null)
+    assert.equal(problems({ defer: "2025-01-02 16:59", due: "2025-01-02" }), null)
+    assert.match(problems({ defer: "2025-01-02 18:00", due: "2025-01-02" }), /defer date is after/)
+    assert.equal(problems({ defer: "2025-01-02 18:00", due: "2025-01-02" }, { workdayEnd: "19:30" }), null)
+    assert.equal(problems({ defer: "2025-01-02", due: "2025-01-02 00:00" }), null)
+    assert.equal(problems({ defer: "2025-01-09", due: "2025-01-10 08:00" }), null)
+    assert.match(problems({ defer: "2025-01-10 09:00", due: "2025-01-10 08:00" }), /defer date is after/)
+  })
+
+  test("estimate is a whole number of minutes up to a week", () => {
+    assert.equal(problems({ estimate: 1 }), null)
+    assert.equal(problems({ estimate: 7 * 24 * 60 }), null)
+    for (const bad of [0, -5, 1.5, 7 * 24 * 60 + 1, "30"]) {
+      assert.match(problems({ estimate: bad }), /estimate must be 1–10080 minutes/, String(bad))
+    }
+  })
+
+  test("repeat rules are checked part by part", () => {
+    assert.equal(repeatRuleProblem("FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=-1;UNTIL=20301231T000000Z"), null)
+    assert.equal(repeatRuleProblem("FREQ=FORTNIGHTLY"), 'bad repeat rule value "FREQ=FORTNIGHTLY"')
+    assert.equal(repeatRuleProblem("FREQ=DAILY;BYHOUR=9"), 'unknown repeat rule part "BYHOUR=9"')
+    assert.equal(repeatRuleProblem("FREQ=DAILY;FREQ=WEEKLY"), "repeat rule repeats FREQ")
+    assert.equal(repeatRuleProblem("INTERVAL=2"), "repeat rule needs a FREQ")
+    assert.equal(repeatRuleProblem("FREQ=DAILY;COUNT=3;UNTIL=20300101"), "repeat rule can't have both COUNT and UNTIL")
+  })
+
+  test("repeat method must be known and needs a rule", () => {
+    assert.match(problems({ repeatRule: "FREQ=DAILY", repeatMethod: "sometimes" }), /unknown repeat method "sometimes"/)
+    assert.match(problems({ repeatMethod: "fixed" }), /repeat method given without a repeat rule/)
+  })
+
+  test("tags may not be empty or contain the comma the URL joins them with", () => {
+    assert.match(problems({ tags: ["a,b"] }), /tag "a,b" is empty or contains a comma/)
+    assert.match(problems({ tags: ["  "] }), /is empty/)
+  })
+
+  test("reports every problem at once", () => {
+    assert.equal(
+      problems({ due: "soon", estimate: 0, repeatMethod: "fixed" }),
+      'Invalid task: due date "soon" isn\'t YYYY-MM-DD [HH:MM]; estimate must be 1–10080 minutes; ' +
+        "repeat method given without a repeat rule",
+    )
+  })
+})
+
+test("pickTaskFields keeps only task fields, with null for missing ones", () => {
+  assert.deepEqual(pickTaskFields({ project: "Work", due: "2025-01-02", name: "x", url: "https://x.example" }), {
+    project: "Work",
+    projectId: null,
+    tags: null,
+    flag: null,
+    due: "2025-01-02",
+    defer: null,
+    estimate: null,
+    repeatRule: null,
+    repeatMethod: null,
+    completed: null,
+  })
+})
+
+describe("toTaskPaper", () => {
+  // Zero-width spaces shown as "⁰" so the expected text is readable.
+  const show = (text) => text.replaceAll(ZWSP, "⁰")
+  const paper = (items) => show(toTaskPaper(items))
+
+  test("one item per line with its attributes", () => {
+    const item = {
+      name: "Plan the trip",
+      tags: ["errands", "waiting for"],
+      flag: true,
+      defer: "2025-01-02",
+      due: "2025-01-03 17:00",
+      estimate: 30,
+      repeatRule: "FREQ=WEEKLY;BYDAY=MO",
+      completed: "2025-01-04",
+    }
+    assert.equal(
+      paper([item]),
+      "- Plan the trip @tags(errands, waiting for) @flagged @defer(2025-01-02) @due(2025-01-03 17:00) " +
+        "@estimate(30m) @repeat-method(fixed) @repeat-rule(FREQ=WEEKLY;BYDAY=MO) @done(2025-01-04)",
+    )
+    assert.equal(paper([{ name: "Plain" }, { name: "" }]), "- Plain\n- Untitled")
+  })
+
+  test("children are indented one tab per level under a parent that stays open", () => {
+    const tree = [
+      {
+        name: "Conference",
+        parallel: false,
+        children: [
+          { name: "Book travel", children: [{ name: "Flights" }, { name: "Hotel" }] },
+          { name: "Write talk" },
+        ],
+      },
+      { name: "Next" },
+    ]
+    assert.equal(
+      paper(tree),
+      [
+        "- Conference @parallel(false) @autodone(false)",
+        "\t- Book travel @autodone(false)",
+        "\t\t- Flights",
+        "\t\t- Hotel",
+        "\t- Write talk",
+        "- Next",
+      ].join("\n"),
+    )
+    assert.equal(paper([{ name: "Group", parallel: true, children: [] }]), "- Group @parallel(true)")
+  })
+
+  test("notes sit one level deeper than their item, blank lines stay blank", () => {
+    const tree = [
+      { name: "Parent", note: "first line  \n\nthird line", children: [{ name: "Child", note: "child note" }] },
+    ]
+    assert.equal(
+      paper(tree),
+      ["- Parent @autodone(false)", "\tfirst line", "", "\tthird line", "\t- Child", "\t\tchild note"].join("\n"),
+    )
+  })
+
+  test("note lines that would read as items or projects are defused", () => {
+    const note = "- not an item\n  - nor this\nAgenda:\nAgenda:   \n-5 degrees\nratio 3:1"
+    assert.deepEqual(paper([{ name: "Read", note }]).split("\n"), [
+      "- Read",
+      "\t⁰- not an item",
+      "\t⁰  - nor this",
+      "\tAgenda:⁰",
+      "\tAgenda:⁰",
+      "\t-5 degrees",
+      "\tratio 3:1",
+    ])
+  })
+
+  test("@words after a space are not read as tags; email addresses are left alone", () => {
+    const item = { name: "Ask @sam about (@home) setup", note: "cc @(team) and bob@example.com" }
+    assert.equal(paper([item]), "- Ask @⁰sam about (@home) setup\n\tcc @⁰(team) and bob@example.com")
+  })
+
+  test("line breaks in names become spaces", () => {
+    assert.equal(paper([{ name: "  Two\n  lines \n" }]), "- Two lines")
+  })
+
+  test("tags may contain @, accents and spaces, but not parentheses", () => {
+    assert.equal(paper([{ name: "x", tags: ["@work", "Straße", "on hold"] }]), "- x @tags(@work, Straße, on hold)")
+    assert.throws(
+      () => toTaskPaper([{ name: "x", tags: ["waiting (Bob)"] }]),
+      /@tags value "waiting \(Bob\)" can't contain parentheses or line breaks/,
+    )
+    assert.throws(() => toTaskPaper([{ name: "x", due: "2025-01-02\n" }]), /@due value/)
+  })
+
+  test("buildPasteUrl encodes the text for the inbox by default", () => {
+    const inbox = buildPasteUrl({ taskpaper: "- a b\n\t- c" })
+    assert.equal(inbox, "omnifocus:///paste?target=inbox&content=-%20a%20b%0A%09-%20c")
+    const projects = buildPasteUrl({ taskpaper: "- a", target: "projects" })
+    assert.equal(projects, "omnifocus:///paste?target=projects&content=-%20a")
+  })
+})
@@ -0,0 +1,37 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { loadScripts } = require("./helpers")
+
+const { applyCaptureRules, fillTitleCaptures, renderTitleTemplate, templateVars } = loadScripts(
+  "rules.js",
+  "templates.js",
+)
+
+const render = (hit, page) =>
+  fillTitleCaptures(renderTitleTemplate(hit.titleTemplate, templateVars(page)), hit.captures)
+
+test("globs capture into the title rewrite and its template", () => {
+  const rules = [{ match: "url", pattern: "github.com/*/issues/*", title: "$1 #$2: {title}", project: "Work" }]
+  const page = { url: "https://github.com/acme/issues/7", title: "Crash on save" }
+  const hit = applyCaptureRules(rules, page)
+  assert.equal(hit.project, "Work")
+  assert.equal(hit.title, "acme #7: Crash on save")
+  assert.equal(render(hit, page), "acme #7: Crash on save")
+})
+
+test("captured text is never read as template syntax", () => {
+  const rules = [{ match: "title", pattern: "^(.*) - Docs$", title: "$1 ({{host}})" }]
+  const page = { url: "https://docs.example/", title: "Using {{url}} and {{#if x}} - Docs" }
+  const hit = applyCaptureRules(rules, page)
+  assert.equal(render(hit, page), "Using {{url}} and {{#if x}} (docs.example)")
+})
+
+test("a capture containing $N or {title} stays as written", () => {
+  const rules = [{ match: "title", pattern: "^Price: (.*)$", title: "$1 / {title}" }]
+  const hit = applyCaptureRules(rules, { url: "https://shop.example/", title: "Price: $2 {title}" })
+  assert.equal(hit.title, "$2 {title} / Price: $2 {title}")
+})
+
+test("no matching rule", () => {
+  assert.equal(applyCaptureRules([{ match: "host", pattern: "example.com" }], { url: "https://other.example/" }), null)
+})
@@ -0,0 +1,74 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { fixture, runInPage } = require("./helpers")
+
+// sites.js registers the extractors, extract.js runs the matching one.
+const page = (name, url) => runInPage(fixture(name), url, ["sites.js", "extract.js"])
+
+test("github: issue number, state, labels and body", () => {
+  const { site, text } = page("github-issue.html", "https://github.com/acme/widgets/issues/123")
+  assert.equal(site.name, "github")
+  assert.equal(site.title, "acme/widgets#123: Crash when saving an empty note")
+  assert.deepEqual(site.details, ["Repo: acme/widgets", "Issue #123 · Open", "Labels: bug, p1"])
+  assert.match(site.text, /^Crash when saving an empty note\n\nSaving a note with no text throws/)
+  assert.equal(text, site.text)
+})
+
+test("github: repo page title and description", () => {
+  const { site } = page("github-repo.html", "https://github.com/acme/widgets")
+  assert.equal(site.title, "acme/widgets: Small reusable widgets for dashboards")
+  assert.deepEqual(site.details, ["Repo: acme/widgets", "About: Small reusable widgets for dashboards"])
+  assert.equal(site.text, undefined)
+})
+
+test("youtube: title, channel, duration and a clean watch link", () => {
+  const { site } = page("youtube.html", "https://www.youtube.com/watch?v=abc123&list=PL1&index=2")
+  assert.equal(site.name, "youtube")
+  assert.equal(site.title, "How Rivers Shape Valleys")
+  assert.deepEqual(site.details, ["Channel: Geography Now", "Duration: 1:04:13"])
+  assert.equal(site.link, "https://www.youtube.com/watch?v=abc123")
+  assert.match(site.text, /^How Rivers Shape Valleys\n\nA ten-minute look at erosion/)
+})
+
+test("arxiv: title, first authors, id, PDF link and abstract", () => {
+  const { site } = page("arxiv.html", "https://arxiv.org/abs/2401.01234")
+  assert.equal(site.name, "arxiv")
+  assert.equal(site.title, "Sparse Attention for Long Documents")
+  assert.deepEqual(site.details, [
+    "Authors: Ada Lovelace, Alan Turing, Grace Hopper, Barbara Liskov, Donald Knuth et al.",
+    "arXiv:2401.01234",
+    "PDF: https://arxiv.org/pdf/2401.01234",
+  ])
+  assert.equal(
+    site.text,
+    "Sparse Attention for Long Documents\n\nWe show that attention over long documents can be made sparse " +
+      "without losing accuracy on retrieval tasks.",
+  )
+})
+
+test("stackexchange: question, tags and the accepted answer over the first one", () => {
+  const { site } = page("stackoverflow.html", "https://stackoverflow.com/questions/208105/how-do-i-remove")
+  assert.equal(site.name, "stackexchange")
+  assert.equal(site.title, "How do I remove a property from an object?")
+  assert.deepEqual(site.details, [
+    "Tags: javascript, object",
+    "Question: I have an object with a key I no longer need. What is the cleanest way to remove it?",
+    "Accepted answer: Use the delete operator: delete obj.key removes the property in place.",
+  ])
+  assert.doesNotMatch(site.text, /rest syntax/)
+})
+
+test("jira: key from a board's selectedIssue, summary, status, assignee and browse link", () => {
+  const url = "https://acme.atlassian.net/jira/software/projects/OPS/boards/1?selectedIssue=OPS-42"
+  const { site } = page("jira.html", url)
+  assert.equal(site.name, "jira")
+  assert.equal(site.title, "OPS-42: Rotate the staging certificates")
+  assert.deepEqual(site.details, ["Status: In Progress", "Assignee: Sam Rivera"])
+  assert.equal(site.link, "https://acme.atlassian.net/browse/OPS-42")
+  assert.equal(site.text, "Rotate the staging certificates\n\nThe staging certificates expire at the end of the month.")
+})
+
+test("no extractor for other hosts", () => {
+  const { site } = page("github-issue.html", "https://gitlab.example/acme/widgets/issues/123")
+  assert.equal(site, null)
+})
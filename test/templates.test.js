@@ -0,0 +1,59 @@
+const { test, describe } = require("node:test")
+const assert = require("node:assert/strict")
+const { loadScripts } = require("./helpers")
+
+const { renderTemplate, renderTitleTemplate, templateProblem, parseTemplateExpr, templateVars } =
+  loadScripts("templates.js")
+
+const VARS = templateVars({
+  title: "Growing Tomatoes",
+  url: "https://www.allotment.example/tomatoes",
+  summary: "",
+  selection: "Water little and often.",
+  now: new Date(2025, 0, 2, 9, 5),
+})
+
+describe("parseTemplateExpr", () => {
+  test("splits filters on pipes and unquotes arguments", () => {
+    assert.deepEqual(parseTemplateExpr('summary | truncate:40 | default:"none"'), {
+      name: "summary",
+      filters: [
+        { name: "truncate", arg: "40" },
+        { name: "default", arg: "none" },
+      ],
+    })
+  })
+
+  test("a pipe inside quotes belongs to the argument", () => {
+    assert.deepEqual(parseTemplateExpr(`summary | default:"a|b" | upper`).filters, [
+      { name: "default", arg: "a|b" },
+      { name: "upper", arg: undefined },
+    ])
+    assert.deepEqual(parseTemplateExpr(`summary | default:'x | "y"'`).filters, [{ name: "default", arg: 'x | "y"' }])
+  })
+
+  test("an unclosed quote is reported", () => {
+    assert.throws(() => parseTemplateExpr('summary | default:"a|b'), /Missing closing " in \{\{summary/)
+  })
+})
+
+describe("renderTemplate", () => {
+  test("variables, filters and the quoted-pipe default", () => {
+    assert.equal(renderTemplate('{{summary | default:"none | yet"}}', VARS), "none | yet")
+    assert.equal(renderTemplate("{{host}} {{date}} {{time}}", VARS), "allotment.example 2025-01-02 09:05")
+    assert.equal(renderTemplate("{{title | upper | truncate:8}}", VARS), "GROWING…")
+  })
+
+  test("conditionals and blank-line cleanup", () => {
+    const src = "{{url}}\n{{summary}}\n\n\n{{#if selection}}{{selection | quote}}{{else}}nothing{{/if}}"
+    assert.equal(renderTemplate(src, VARS), "https://www.allotment.example/tomatoes\n\n> Water little and often.")
+    assert.equal(renderTemplate("{{#unless summary}}no summary{{/unless}}", VARS), "no summary")
+  })
+
+  test("problems are reported for the editor, and a broken template falls back", () => {
+    assert.equal(templateProblem('{{summary | default:"a|b"}}'), "")
+    assert.equal(templateProblem("{{summary | shout}}"), 'Unknown filter "shout"')
+    assert.equal(templateProblem("{{#if title}}x"), "Missing {{/if}}")
+    assert.equal(renderTitleTemplate("{{nope}}", VARS), "Growing Tomatoes")
+  })
+})